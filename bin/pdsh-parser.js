@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+/* eslint-disable import/no-commonjs */
+
+const fs = require("fs");
+const path = require("path");
+
+// The sources, and those of the @iml packages they import, are Flow typed ES modules, so they are compiled as they
+// are loaded with the Babel configuration of the package.
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, "../.babelrc"), "utf8"));
+
+require("babel-register")(Object.assign({}, config, { babelrc: false, only: /\/(source|node_modules\/@iml)\// }));
+
+const { run } = require("../source/cli.js");
+
+process.exitCode = run(process.argv.slice(2), {
+  read: () => fs.readFileSync(0, "utf8"),
+  write: text => process.stdout.write(text),
+  writeError: text => process.stderr.write(text)
+});
@@ -0,0 +1,425 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import { flattenArrayOfValues } from "./lists.js";
+
+export type Stride = {
+  start: number,
+  end: number,
+  digits: string,
+  step: number,
+  remainder: number,
+  isExcluded: boolean
+};
+
+export type Block = { characters: string[], strides: Stride[] };
+
+/**
+ * Adds blocks to a list of blocks that don't overlap, keeping only the parts of each one not already listed.
+ * @param {Array} disjointBlocks Blocks that don't overlap
+ * @param {Array} blocks
+ * @returns {Array} Blocks that don't overlap
+ */
+export function unionBlocks(disjointBlocks: Block[], blocks: Block[]): Block[] {
+  return blocks.reduce((prev, x) => prev.concat(subtractBlocks([x], prev)), disjointBlocks);
+}
+
+/**
+ * Removes the hostnames of some blocks from other blocks
+ * @param {Array} blocks
+ * @param {Array} removedBlocks
+ * @returns {Array} The parts of the blocks left. They don't overlap if the blocks didn't.
+ */
+export function subtractBlocks(blocks: Block[], removedBlocks: Block[]): Block[] {
+  return removedBlocks.reduce(
+    (prev, removed) => prev.map(x => subtractBlock(x, removed)).reduce(flattenArrayOfValues, []),
+    blocks
+  );
+}
+
+/**
+ * Removes the hostnames of a block from another block. The part left is split into blocks that don't overlap:
+ * the one at each position holds the characters not in the removed block at that position, those in both blocks
+ * before it and those of the block after it. The hostnames made of characters in both blocks that miss a stride
+ * of the removed block, while meeting the strides before it, make one more block for each of its strides.
+ * @example
+ * // returns [{ characters: ['2', '34'], strides: [] }, { characters: ['1', '4'], strides: [] }]
+ * subtractBlock(createBlock(['12', '34']), createBlock(['1', '3']))
+ * @param {Object} block
+ * @param {Object} removed
+ * @returns {Array}
+ */
+function subtractBlock(block: Block, removed: Block): Block[] {
+  const common = intersectBlocks(block, removed);
+
+  if (!isBlockFilled(common)) return [block];
+
+  const outside = block.characters.map((x, index) =>
+    createBlock(
+      [
+        ...common.characters.slice(0, index),
+        x
+          .split("")
+          .filter(y => removed.characters[index].indexOf(y) === -1)
+          .join(""),
+        ...block.characters.slice(index + 1)
+      ],
+      block.strides
+    )
+  );
+  const missed = removed.strides.map((x, index) =>
+    createBlock(common.characters, [
+      ...block.strides,
+      ...removed.strides.slice(0, index),
+      { ...x, isExcluded: !x.isExcluded }
+    ])
+  );
+
+  return outside.concat(missed).filter(isBlockFilled);
+}
+
+/**
+ * Finds the hostnames two blocks have in common
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} A block standing for no hostname when there are none
+ */
+export function intersectBlocks(a: Block, b: Block): Block {
+  if (a.characters.length !== b.characters.length) return createBlock([""]);
+
+  return createBlock(
+    a.characters.map((x, index) =>
+      x
+        .split("")
+        .filter(y => b.characters[index].indexOf(y) > -1)
+        .join("")
+    ),
+    a.strides.concat(b.strides)
+  );
+}
+
+/**
+ * Creates a block from the characters that may appear at each position and the strides the values must meet
+ * @param {Array} characters
+ * @param {Array} [strides]
+ * @returns {Object}
+ */
+export function createBlock(characters: string[], strides: Stride[] = []): Block {
+  return { characters, strides };
+}
+
+/**
+ * Appends the hostnames of a block to each hostname of another block
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+export function joinBlocks(a: Block, b: Block): Block {
+  const shift = a.characters.length;
+
+  return createBlock(
+    a.characters.concat(b.characters),
+    a.strides.concat(b.strides.map(x => ({ ...x, start: x.start + shift, end: x.end + shift })))
+  );
+}
+
+/**
+ * Indicates if a hostname is one of those a block stands for
+ * @param {String} hostname
+ * @param {Object} block
+ * @returns {Boolean}
+ */
+export function isInBlock(hostname: string, block: Block) {
+  return (
+    hostname.length === block.characters.length &&
+    block.characters.every((x, index) => x.indexOf(hostname.charAt(index)) > -1) &&
+    block.strides.every(x => isStrideMet(x, readSpanValue(hostname.slice(x.start, x.end), x.digits)))
+  );
+}
+
+/**
+ * Indicates if a block stands for any hostname
+ * @param {Object} block
+ * @returns {Boolean}
+ */
+export function isBlockFilled(block: Block) {
+  return block.characters.every(x => x !== "") && (block.strides.length === 0 || getBlockSize(block) > 0);
+}
+
+/**
+ * Counts the hostnames a block stands for. The values of each stride are counted from the intervals its positions
+ * hold, rather than one at a time. A stride that is excluded is counted by taking the hostnames meeting it away
+ * from those of the block without it.
+ * @param {Object} block
+ * @returns {Number}
+ */
+function getBlockSize(block: Block): number {
+  const { characters, strides } = block;
+  const excluded = strides.findIndex(x => x.isExcluded);
+
+  if (excluded > -1) {
+    const rest = strides.filter((x, index) => index !== excluded);
+
+    return (
+      getBlockSize(createBlock(characters, rest)) -
+      getBlockSize(createBlock(characters, [...rest, { ...strides[excluded], isExcluded: false }]))
+    );
+  }
+
+  const merged = mergeStrides(strides);
+
+  if (merged == null) return 0;
+  if (merged.length === 0) return characters.reduce((prev, x) => prev * x.length, 1);
+
+  const [stride, ...rest] = merged;
+  const span = characters.slice(stride.start, stride.end);
+
+  // Strides reaching into the span depend on its values, so the block is counted for each of them.
+  if (rest.some(x => x.start < stride.end && stride.start < x.end))
+    return findStrideValues(span, stride).reduce(
+      (prev, x) => prev + getBlockSize(createBlock(fixSpan(characters, stride, x), rest)),
+      0
+    );
+
+  const sample = span.map(x => x.charAt(0)).join("");
+
+  return countStrideValues(span, stride) * getBlockSize(createBlock(fixSpan(characters, stride, sample), rest));
+}
+
+/**
+ * Counts the hostnames of blocks that don't overlap
+ * @param {Array} blocks
+ * @returns {Number}
+ */
+export function sumBlockSizes(blocks: Block[]) {
+  return blocks.reduce((prev, x) => prev + getBlockSize(x), 0);
+}
+
+/**
+ * Describes a block as blocks without strides, by listing the values of the positions each stride applies to.
+ * @param {Object} block
+ * @returns {Array} The characters of each block
+ */
+export function removeStrides(block: Block): string[][] {
+  if (block.strides.length === 0) return [block.characters];
+
+  const [stride, ...rest] = block.strides;
+
+  return findStrideValues(block.characters.slice(stride.start, stride.end), stride)
+    .map(x => removeStrides(createBlock(fixSpan(block.characters, stride, x), rest)))
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Replaces the characters a stride applies to with a single value
+ * @param {Array} characters
+ * @param {Object} stride
+ * @param {String} value
+ * @returns {Array}
+ */
+export function fixSpan(characters: string[], stride: Stride, value: string) {
+  return [...characters.slice(0, stride.start), ...value.split(""), ...characters.slice(stride.end)];
+}
+
+/**
+ * Merges the strides that apply to the same positions, so each one describes the values meeting all of them.
+ * Excluded strides must have been taken out.
+ * @param {Array} strides
+ * @returns {Array|null} null when no value meets them all
+ */
+function mergeStrides(strides: Stride[]): ?(Stride[]) {
+  return strides.reduce((merged, x) => {
+    if (merged == null) return null;
+
+    const index = merged.findIndex(y => y.start === x.start && y.end === x.end && y.digits === x.digits);
+
+    if (index === -1) return [...merged, x];
+
+    const combined = intersectStrides(merged[index], x);
+
+    return combined == null ? null : [...merged.slice(0, index), combined, ...merged.slice(index + 1)];
+  }, []);
+}
+
+/**
+ * Finds the values two strides have in common, which are themselves a stride of the least common multiple of
+ * their steps.
+ * @example
+ * // returns a stride with a step of 6 and a remainder of 5
+ * intersectStrides({ ...stride, step: 2, remainder: 1 }, { ...stride, step: 3, remainder: 2 })
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object|null} null when they have no values in common
+ */
+function intersectStrides(a: Stride, b: Stride): ?Stride {
+  const divisor = findGreatestCommonDivisor(a.step, b.step);
+
+  if ((b.remainder - a.remainder) % divisor !== 0) return null;
+
+  const reducedStep = b.step / divisor;
+  const multiple = modulo(
+    modulo((b.remainder - a.remainder) / divisor, reducedStep) * findModularInverse(a.step / divisor, reducedStep),
+    reducedStep
+  );
+  const step = a.step * reducedStep;
+
+  return { ...a, step, remainder: modulo(a.remainder + a.step * multiple, step) };
+}
+
+/**
+ * Finds the greatest common divisor of two numbers
+ * @param {Number} a
+ * @param {Number} b
+ * @returns {Number}
+ */
+export function findGreatestCommonDivisor(a: number, b: number): number {
+  return b === 0 ? a : findGreatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Finds the number that gives 1 when multiplied by a value, modulo a modulus they have no common divisor with
+ * @example
+ * // returns 2
+ * findModularInverse(3, 5)
+ * @param {Number} value
+ * @param {Number} modulus
+ * @returns {Number}
+ */
+function findModularInverse(value: number, modulus: number) {
+  let [a, b, x, y] = [modulo(value, modulus), modulus, 1, 0];
+
+  while (b > 0) {
+    const quotient = Math.floor(a / b);
+
+    [a, b, x, y] = [b, a - quotient * b, y, x - quotient * y];
+  }
+
+  return modulo(x, modulus);
+}
+
+/**
+ * Finds the remainder of a division, which is never negative
+ * @param {Number} dividend
+ * @param {Number} divisor A positive number
+ * @returns {Number}
+ */
+export function modulo(dividend: number, divisor: number) {
+  return ((dividend % divisor) + divisor) % divisor;
+}
+
+/**
+ * Indicates if a value meets a stride
+ * @param {Object} stride
+ * @param {Number} value
+ * @returns {Boolean}
+ */
+function isStrideMet(stride: Stride, value: number) {
+  return (modulo(value, stride.step) === stride.remainder) !== stride.isExcluded;
+}
+
+/**
+ * Counts the values of the positions a stride applies to that meet it, from the intervals the positions hold
+ * @param {Array} span The characters at the positions
+ * @param {Object} stride
+ * @returns {Number}
+ */
+function countStrideValues(span: string[], stride: Stride) {
+  const { step, remainder } = stride;
+
+  return findSpanIntervals(span, stride.digits).reduce(
+    (prev, [low, high]) => prev + Math.floor((high - remainder) / step) - Math.floor((low - 1 - remainder) / step),
+    0
+  );
+}
+
+/**
+ * Lists the values of the positions a stride applies to that meet it
+ * @param {Array} span The characters at the positions
+ * @param {Object} stride
+ * @returns {Array}
+ */
+export function findStrideValues(span: string[], stride: Stride): string[] {
+  const { step, remainder, isExcluded } = stride;
+  const values = [];
+
+  findSpanIntervals(span, stride.digits).forEach(([low, high]) => {
+    const increment = isExcluded ? 1 : step;
+
+    for (let value = isExcluded ? low : low + modulo(remainder - low, step); value <= high; value += increment)
+      if (isStrideMet(stride, value)) values.push(formatSpanValue(value, span.length, stride.digits));
+  });
+
+  return values;
+}
+
+/**
+ * Describes the values of positions holding digits as intervals. The positions after the last one that doesn't
+ * hold every digit add to each interval, and the positions before it split the values into one interval for each
+ * of their combinations.
+ * @example
+ * // returns [[15, 19], [35, 39]]
+ * findSpanIntervals(['13', '56789'], '0123456789')
+ * @param {Array} span The digits at each position
+ * @param {String} digits Every digit, in order
+ * @returns {Array}
+ */
+export function findSpanIntervals(span: string[], digits: string): Array<[number, number]> {
+  const radix = digits.length;
+  let last = span.length - 1;
+
+  while (last >= 0 && span[last].length === radix) last -= 1;
+
+  const scale = Math.pow(radix, span.length - last - 1);
+
+  if (last < 0) return [[0, scale - 1]];
+
+  const prefixes = span
+    .slice(0, last)
+    .reduce(
+      (prev, x) => prev.map(y => x.split("").map(z => y * radix + digits.indexOf(z))).reduce(flattenArrayOfValues, []),
+      [0]
+    );
+  const runs = span[last]
+    .split("")
+    .map(x => digits.indexOf(x))
+    .sort((a, b) => a - b)
+    .reduce((prev, x) => {
+      const run = prev[prev.length - 1];
+
+      return run != null && run[1] === x - 1 ? [...prev.slice(0, -1), [run[0], x]] : [...prev, [x, x]];
+    }, []);
+
+  return prefixes
+    .map(x => runs.map(([low, high]) => [(x * radix + low) * scale, (x * radix + high + 1) * scale - 1]))
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Reads the value of positions holding digits
+ * @param {String} text
+ * @param {String} digits Every digit, in order
+ * @returns {Number}
+ */
+export function readSpanValue(text: string, digits: string) {
+  return text.split("").reduce((prev, x) => prev * digits.length + digits.indexOf(x), 0);
+}
+
+/**
+ * Writes a value with a number of digits, padding it with the first digit
+ * @param {Number} value
+ * @param {Number} length
+ * @param {String} digits Every digit, in order
+ * @returns {String}
+ */
+export function formatSpanValue(value: number, length: number, digits: string) {
+  let text = "";
+
+  for (let rest = value; text.length < length; rest = Math.floor(rest / digits.length))
+    text = digits.charAt(rest % digits.length) + text;
+
+  return text;
+}
@@ -0,0 +1,212 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import { createParser, fold } from "./index.js";
+import { readFile } from "./files.js";
+
+import type { ParseError } from "./index.js";
+
+export type Io = {
+  read: () => string,
+  write: (text: string) => void,
+  writeError: (text: string) => void
+};
+
+type Options = {
+  command: ?string,
+  inputs: string[],
+  cap: number,
+  order: ?("sorted" | "input" | "natural"),
+  isJson: boolean,
+  isHelp: boolean
+};
+
+const usage = `Usage: pdsh-parser <command> [--json] [--cap <entries>] [--order <order>] [expression...]
+
+Commands:
+  expand  Print the hosts of the expression, one per line
+  fold    Print the shortest expression for the hosts passed in, merged across all of their numbers and labels
+  count   Print the number of distinct hosts of the expression, without expanding it
+  check   Validate the expression, printing its errors and exiting with 1 when it is invalid
+
+Options:
+  --json  Print the output as JSON
+  --cap   The maximum number of hosts the expression may produce. Defaults to 50000; pass Infinity for no limit.
+          It does not apply to count or fold.
+  --order The order expand prints the hosts in: sorted (the default), input to keep the order they are written in
+          or natural to sort them so node2 comes before node10.
+
+When no expression is passed, the lines read on stdin are joined into a list. fold takes hosts in the same way,
+without parsing them.
+`;
+
+/**
+ * The commands of the tool. Each one returns the errors found, or the output as JSON and as text.
+ */
+const commands = {
+  expand(inputs: string[], options: Options) {
+    const result: Object = parse(inputs, options, ["expansion"]);
+
+    if (result.errors) return result;
+
+    return { json: { expansion: result.expansion }, text: result.expansion.map(x => `${x}\n`).join("") };
+  },
+  fold(inputs: string[]) {
+    const expression = fold(inputs);
+
+    return { json: { expression }, text: `${expression}\n` };
+  },
+  count(inputs: string[]) {
+    const result: Object = createParser({ readFile }).count(inputs.join(","));
+
+    if (result.errors) return result;
+
+    return { json: { count: result.count }, text: `${result.count}\n` };
+  },
+  check(inputs: string[], options: Options) {
+    const result: Object = parse(inputs, options, []);
+
+    return result.errors ? result : { json: { errors: [] }, text: "" };
+  }
+};
+
+/**
+ * Runs the command line tool. Parse errors are printed to stderr, or to stdout as JSON with the --json option. Other
+ * failures are printed to stderr.
+ * @example
+ * // writes 'oss1\noss2\n' and returns 0
+ * run(['expand', 'oss[1-2]'], io)
+ * @param {Array} args The arguments after the name of the tool
+ * @param {Object} io Reads stdin and writes to stdout and stderr
+ * @returns {Number} The exit code: 0 on success, 1 for parse errors and failures and 2 for usage errors
+ */
+export function run(args: string[], io: Io): number {
+  const options = parseArguments(args);
+
+  if (options.isHelp) {
+    io.write(usage);
+    return 0;
+  }
+
+  if (options.command == null || commands[options.command] == null || isNaN(options.cap) || options.order == null) {
+    io.writeError(usage);
+    return 2;
+  }
+
+  const input = options.inputs.length > 0 ? options.inputs : readLines(io);
+  let result;
+
+  try {
+    result = commands[options.command](input, options);
+  } catch (error) {
+    io.writeError(`pdsh-parser: ${error.message}\n`);
+    return 1;
+  }
+
+  if (result.errors != null) {
+    if (options.isJson) io.write(`${JSON.stringify({ errors: result.errors })}\n`);
+    else io.writeError(result.errors.map(formatError).join(""));
+
+    return 1;
+  }
+
+  io.write(options.isJson ? `${JSON.stringify(result.json)}\n` : result.text);
+
+  return 0;
+}
+
+/**
+ * Parses the inputs as a list, reading files from the local disk.
+ * @param {Array} inputs
+ * @param {Object} options The options of the tool
+ * @param {Array} outputs
+ * @returns {Object}
+ */
+function parse(inputs: string[], options: Options, outputs: string[]) {
+  return createParser({ cap: options.cap, order: options.order || undefined, outputs, readFile }).parse(
+    inputs.join(",")
+  );
+}
+
+/**
+ * Reads the arguments of the tool
+ * @param {Array} args
+ * @returns {Object}
+ */
+function parseArguments(args: string[]) {
+  const options: Options = {
+    command: null,
+    inputs: [],
+    cap: 50000,
+    order: "sorted",
+    isJson: false,
+    isHelp: false
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--json") options.isJson = true;
+    else if (arg === "--help" || arg === "-h") options.isHelp = true;
+    else if (arg === "--cap") options.cap = parseCap(args[(index += 1)]);
+    else if (arg === "--order") options.order = parseOrder(args[(index += 1)]);
+    else if (options.command == null) options.command = arg;
+    else options.inputs.push(arg);
+  }
+
+  return options;
+}
+
+/**
+ * Reads the value of the --cap option
+ * @param {String} [value]
+ * @returns {Number} NaN when the value is not a whole number or Infinity
+ */
+function parseCap(value: ?string) {
+  if (value === "Infinity") return Infinity;
+
+  return value != null && /^[0-9]+$/.test(value) ? +value : NaN;
+}
+
+/**
+ * Reads the value of the --order option
+ * @param {String} [value]
+ * @returns {String|null} null when the order is not known
+ */
+function parseOrder(value: ?string) {
+  if (value === "sorted" || value === "input" || value === "natural") return value;
+
+  return null;
+}
+
+/**
+ * Reads the lines of stdin, leaving out blank lines
+ * @param {Object} io
+ * @returns {Array}
+ */
+function readLines(io: Io) {
+  return io
+    .read()
+    .split(/\r?\n/)
+    .map(x => x.trim())
+    .filter(x => x !== "");
+}
+
+/**
+ * Formats an error as a line of text, starting with its location.
+ * @example
+ * // returns '4-8 oss[1-]: Range is not in the proper format.\n'
+ * formatError({ code: 'RANGE_NOT_PROPER_FORMAT', message: 'Range is not in the proper format.', start: 4, end: 8,
+ *   expression: 'oss[1-]' })
+ * @param {Object} error
+ * @returns {String}
+ */
+function formatError(error: ParseError) {
+  const file = error.file == null ? "" : `${error.file}:${String(error.line)}: `;
+
+  return `${file}${error.start}-${error.end} ${error.expression}: ${error.message}\n`;
+}
@@ -0,0 +1,36 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import fs from "fs";
+import { createParser } from "./index.js";
+
+import type { ParserOptions } from "./index.js";
+
+/**
+ * Reads a file from the local disk, for the readFile option of createParser.
+ * @param {String} path
+ * @returns {String}
+ */
+export function readFile(path: string): string {
+  return fs.readFileSync(path, "utf8");
+}
+
+/**
+ * Parses the hosts listed in the file named by the WCOLL environment variable, as pdsh does when no hosts are
+ * passed to it. Files are read from the local disk unless a reader is passed in the options.
+ * @param {Object} [options] The options passed to createParser
+ * @param {Object} [env] The environment to find WCOLL in. Defaults to the environment of the process.
+ * @returns {Object}
+ * @throws {Error} When WCOLL is not set
+ */
+export function parseWcoll(options?: ParserOptions = {}, env?: { [string]: ?string } = process.env) {
+  const path = env.WCOLL;
+
+  if (path == null || path === "") throw new Error("WCOLL is not set.");
+
+  return createParser({ readFile, ...options }).parseFile(path);
+}
@@ -0,0 +1,110 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import fs from "fs";
+import { iterate } from "./index.js";
+
+import type { GendersDatabase } from "./index.js";
+
+const attributeRegex = /^[^=,\s]+(?:=[^=,\s]+)?$/;
+
+export type GendersError = {
+  code: string,
+  message: string,
+  line: number,
+  text: string
+};
+
+/**
+ * Reads a genders database from the local disk.
+ * @param {String} [path] Defaults to /etc/genders
+ * @returns {Array} The hosts for the genders option of createParser
+ * @throws {Error} When the file can't be read or has malformed lines
+ */
+export function readGenders(path: string = "/etc/genders"): GendersDatabase {
+  return parseGenders(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Parses the contents of a genders database. Each line names one or more hosts, as a pdsh expression, followed by
+ * their comma separated attributes, which may have a value. Hosts named on several lines get the attributes of
+ * every line. Comments start with #. Every malformed line is collected before an Error holding them in its errors
+ * property is thrown; each one names the line and its text.
+ * @example
+ * // returns [{ hostname: 'oss1', attributes: { role: 'oss', lustre: null } }, ...]
+ * parseGenders('oss[1-2] role=oss,lustre\n')
+ * @param {String} contents
+ * @returns {Array} The hosts for the genders option of createParser, in the order they are first named
+ * @throws {Error} When there are malformed lines
+ */
+export function parseGenders(contents: string): GendersDatabase {
+  const hosts = {};
+  const genders = [];
+  const errors = [];
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const text = line.replace(/#.*$/, "").trim();
+
+    if (text === "") return;
+
+    const [expression, attributeList, ...rest] = text.split(/\s+/);
+    const attributes = attributeList == null ? [] : attributeList.split(",");
+    const hostnames = rest.length === 0 && attributes.every(x => attributeRegex.test(x)) ? expand(expression) : null;
+
+    if (hostnames == null) {
+      errors.push({
+        code: "GENDERS_LINE_NOT_PROPER_FORMAT",
+        message: `Line ${index + 1} of the genders database is not in the proper format.`,
+        line: index + 1,
+        text: line
+      });
+      return;
+    }
+
+    hostnames.forEach(hostname => {
+      if (hosts[hostname] == null) {
+        hosts[hostname] = { hostname, attributes: {} };
+        genders.push(hosts[hostname]);
+      }
+
+      attributes.forEach(x => {
+        const [name, value] = x.split("=");
+
+        hosts[hostname].attributes[name] = value == null ? null : value;
+      });
+    });
+  });
+
+  if (errors.length > 0) throw createGendersError(errors);
+
+  return genders;
+}
+
+/**
+ * Expands the hosts named on a line of a genders database
+ * @param {String} expression
+ * @returns {Array|null} null if the expression is invalid
+ */
+function expand(expression: string) {
+  try {
+    return Array.from(iterate(expression));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Creates an Error holding the malformed lines of a genders database.
+ * @param {Array} errors
+ * @returns {Error}
+ */
+function createGendersError(errors: GendersError[]) {
+  const error: Object = new Error(errors.map(x => x.message).join("\n"));
+  error.errors = errors;
+
+  return error;
+}
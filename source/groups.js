@@ -0,0 +1,106 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import fs from "fs";
+import { createStaticResolver } from "./index.js";
+
+import type { GroupResolver } from "./index.js";
+
+const entryRegex = /^(\s*)("[^"]*"|'[^']*'|[^\s:'"][^:]*?)\s*:(?:\s+(.*?))?\s*$/;
+const itemRegex = /^\s+-\s+(.*?)\s*$/;
+
+/**
+ * Creates a group resolver for the groups option of createParser out of a ClusterShell group file in YAML. The
+ * file maps each group source to its groups, and each group to an expression or a list of expressions. The file
+ * is read once, when the resolver is created.
+ * @example
+ * // Given a file holding:
+ * // roles:
+ * //   oss: oss[1-8]
+ * //   mds:
+ * //     - mds1
+ * //     - mds2
+ * // resolves @oss and @roles:oss to 'oss[1-8]' and @mds to 'mds1,mds2'
+ * createYamlResolver('/etc/clustershell/groups.d/local.yaml')
+ * @param {String} path
+ * @param {String} [defaultSource] The source of groups referenced without one. Defaults to the first source in
+ * the file.
+ * @returns {Function}
+ */
+export function createYamlResolver(path: string, defaultSource?: string): GroupResolver {
+  const sources = parseGroupFile(fs.readFileSync(path, "utf8"));
+  const sourceNames = Object.keys(sources);
+  const fallback = defaultSource == null ? sourceNames[0] : defaultSource;
+
+  return createStaticResolver(
+    sourceNames.reduce((prev, source) => {
+      const groups = sources[source];
+
+      return Object.keys(groups).reduce(
+        (groupsSoFar, name) => ({
+          ...groupsSoFar,
+          [`${source}:${name}`]: groups[name],
+          ...(source === fallback ? { [name]: groups[name] } : {})
+        }),
+        prev
+      );
+    }, {})
+  );
+}
+
+/**
+ * Reads the sources and groups of a ClusterShell group file. Only the part of YAML used by group files is
+ * understood: mappings nested by indentation, plain or quoted strings, block lists and comments.
+ * @example
+ * // returns { roles: { oss: ['oss[1-8]'] } }
+ * parseGroupFile('roles:\n  oss: oss[1-8]\n')
+ * @param {String} contents
+ * @returns {Object}
+ * @throws {Error} When a line can't be read
+ */
+function parseGroupFile(contents: string) {
+  const sources = {};
+  let groups = null;
+  let members = null;
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const text = line.replace(/(^|\s)#.*$/, "");
+
+    if (text.trim() === "" || text.trim() === "---") return;
+
+    const item = itemRegex.exec(text);
+    const entry = entryRegex.exec(text);
+
+    if (item && members) {
+      members.push(unquote(item[1]));
+    } else if (entry && entry[1] === "" && entry[3] == null) {
+      groups = sources[unquote(entry[2])] = {};
+      members = null;
+    } else if (entry && entry[1] !== "" && groups) {
+      members = groups[unquote(entry[2])] = entry[3] == null ? [] : [unquote(entry[3])];
+    } else {
+      throw new Error(`Line ${index + 1} of the group file can't be read.`);
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Removes the quotes around a YAML string
+ * @example
+ * // returns "oss[1-8]"
+ * unquote("'oss[1-8]'")
+ * @param {String} text
+ * @returns {String}
+ */
+function unquote(text: string) {
+  if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+  if (/^".*"$/.test(text)) return text.slice(1, -1);
+
+  return text;
+}
@@ -8,24 +8,41 @@
 import * as fp from "@iml/fp";
 import * as obj from "@iml/obj";
 import * as math from "@iml/math";
-
-let errorCollection = {
-  errors: []
-};
-
-let expansionCollection = {
-  expansion: [],
-  sections: [],
-  expansionHash: {}
-};
-let hostnameCache = {};
-let duplicates = [];
-const validRangeRegex = /^[0-9]+(?:-[0-9]+)?$/;
+import {
+  createBlock,
+  intersectBlocks,
+  isBlockFilled,
+  isInBlock,
+  joinBlocks,
+  modulo,
+  subtractBlocks,
+  sumBlockSizes,
+  unionBlocks
+} from "./blocks.js";
+import { flattenArrayOfValues, groupBy } from "./lists.js";
+import { findBlockTerms, findSegments, foldNumberTerms, formatNumberSet, readTermNumbers } from "./terms.js";
+
+import type { Block } from "./blocks.js";
+
+const validRangeRegex = /^(?:[0-9]+(?:-[0-9]+)?|[a-z]+(?:-[a-z]+)?|[A-Z]+(?:-[A-Z]+)?|0[xX][0-9a-fA-F]+(?:-(?:0[xX])?[0-9a-fA-F]+)?)$/;
+const hexPrefixRegex = /^0[xX]/;
+const strideRegex = /^0*[1-9][0-9]*$/;
 const expressionRegex = /(\[.*?\])/g;
+const alternationRegex = /(\{.*?\})/g;
+const validAlternativeRegex = /^[^[\]{}()!&^]*$/;
+const addressBlockRegex = /^([0-9]+)\.([0-9]+)\.([0-9]+)\.([0-9]+)\/([0-9]+)$/;
+const octetRegex = /^(?:[0-9]+|\[[^\]]*\])$/;
+const groupReferenceRegex = /^@(?:([\w.-]+):)?([\w.-]+)$/;
+const gendersQueryRegex = /^%[^=&|]+(?:=[^=&|]+)?(?:(?:&&|\|\|)[^=&|]+(?:=[^=&|]+)?)*$/;
 
 const constants = Object.freeze({
   OPEN_BRACE: "[",
   CLOSING_BRACE: "]",
+  OPEN_CURLY_BRACE: "{",
+  CLOSING_CURLY_BRACE: "}",
+  OPEN_PAREN: "(",
+  CLOSING_PAREN: ")",
+  SET_OPERATORS: [",", "!", "&", "^"],
   TOKEN_TO_REPLACE: "%s",
   RANGE_NOT_PROPER_FORMAT: "Range is not in the proper format.",
   EXPRESSION_EMPTY: "Expression cannot be empty.",
@@ -33,10 +50,66 @@ const constants = Object.freeze({
   INDEX_OF: "indexOf",
   LAST_INDEX_OF: "lastIndexOf",
   INCONSISTENT_DIGITS: "Number of digits must be consistent across padded entries",
-  EXPRESSION_OVER_CAP: "The hostlist cannot contain more than 50000 entries.",
-  CAP: 50000
+  EXPRESSION_OVER_CAP: "The hostlist cannot contain more than %s entries.",
+  DUPLICATE_EXPANSION: "Expression %s matches previous expansion of %s generated by %s",
+  ADDRESS_NOT_PROPER_FORMAT: "Address is not a valid IPv4 address or CIDR block.",
+  OCTET_OVER_MAX: "Octets cannot be greater than 255.",
+  UNKNOWN_GROUP: "Group %s is not defined.",
+  GROUP_CYCLE: "Group %s references itself.",
+  QUERY_NOT_PROPER_FORMAT: "Query %s is not in the proper format.",
+  QUERY_EMPTY: "Query %s does not match any host.",
+  FILE_NOT_READABLE: "File %s can't be read.",
+  FILE_CYCLE: "File %s references itself.",
+  HOSTNAME_TOO_LONG: "Hostname %s is longer than 253 characters.",
+  LABEL_EMPTY: "Hostname %s has an empty label.",
+  LABEL_TOO_LONG: "Label %s is longer than 63 characters.",
+  LABEL_NOT_PROPER_FORMAT:
+    "Label %s must be made of letters, digits and hyphens, and can't start or end with a hyphen.",
+  MAX_OCTET: 255,
+  CAP: 50000,
+  OUTPUTS: ["expansion", "sections", "expansionHash"],
+  DUPLICATES: "error",
+  ORDER: "sorted",
+  SEPARATORS: " \t\r\n;"
 });
 
+export type ParserOptions = {
+  cap?: number,
+  outputs?: string[],
+  duplicates?: "error" | "dedupe" | "allow",
+  order?: "sorted" | "input" | "natural",
+  tolerant?: boolean,
+  separators?: string,
+  validateHostnames?: boolean,
+  ipv4?: boolean,
+  excludeNetworkAndBroadcast?: boolean,
+  groups?: GroupResolver,
+  genders?: GendersDatabase,
+  readFile?: (path: string) => string
+};
+
+export type GendersDatabase = Array<{ hostname: string, attributes: { [string]: ?string } }>;
+
+export type GroupResolver = (name: string, source?: string) => ?string;
+
+type ValueList = { length: number, valueAt: (index: number) => string };
+
+export type ParseError = {
+  code: string,
+  message: string,
+  start: number,
+  end: number,
+  expression: string,
+  range?: string,
+  hostname?: string,
+  expressions?: string[],
+  group?: string,
+  query?: string,
+  file?: string,
+  line?: number,
+  label?: string
+};
+
 const isEmpty = fp.or([fp.eq(null), fp.eq(undefined), fp.eq("")]);
 const isNotEmpty = fp.flow(
   isEmpty,
@@ -52,228 +125,2383 @@ const isFalse = fp.flow(
 );
 
 /**
- * The pdshParser function returned to the client receives an expression to be parsed.
+ * The pdshParser function returned to the client receives an expression to be parsed. It is a shorthand for
+ * parsing with a new parser from createParser.
+ * @param {String} expression The expression must be trimmed of white space.
+ * @param {Object} [options] The options passed to createParser
+ * @return {Object}
+ */
+export default (expression: string, options?: ParserOptions) => createParser(options).parse(expression);
+
+/**
+ * Creates a parser. Every call to parse owns its own state, so a parser can be reused. Besides the comma,
+ * expressions may be combined with ! (difference), & (intersection) and ^ (symmetric difference), grouped with
+ * parentheses and filtered with /regex/ or -/regex/ after a comma. All operators are applied from left to right.
+ * @param {Object} [options]
+ * @param {Number} [options.cap] The maximum number of entries an expression may produce. Defaults to 50000.
+ * @param {Array} [options.outputs] Any of expansion, sections, expansionHash and folded. Defaults to the first three.
+ * @param {String} [options.duplicates] error (default), dedupe or allow
+ * @param {String} [options.order] sorted (default), input or natural
+ * @param {Boolean} [options.tolerant] Accept pasted lists, splitting expressions at the separators
+ * @param {String} [options.separators] Defaults to white space and the semicolon
+ * @param {Boolean} [options.validateHostnames] Check that every hostname follows RFC 1123
+ * @param {Boolean} [options.ipv4] Parse every term as an IPv4 address or CIDR block
+ * @param {Boolean} [options.excludeNetworkAndBroadcast] Leave the network and broadcast addresses out of CIDR blocks
+ * @param {Function} [options.groups] Resolves @group and @source:group references. See createStaticResolver.
+ * @param {Array} [options.genders] The hosts matched by %attribute=value queries. See parseGenders.
+ * @param {Function} [options.readFile] Reads the files referenced by ^path. See the files module.
+ * @returns {Object}
+ * @throws {Error} When the cap or an output is not valid
+ */
+export function createParser(options?: ParserOptions = {}) {
+  const cap = options.cap == null ? constants.CAP : options.cap;
+  const outputs = options.outputs || constants.OUTPUTS;
+
+  checkCap(cap);
+  checkOutputs(outputs);
+
+  const duplicates = options.duplicates || constants.DUPLICATES;
+  const order = options.order || constants.ORDER;
+  const isTolerant = options.tolerant === true;
+  const separators = options.separators == null ? constants.SEPARATORS : options.separators;
+  const isValidatingHostnames = options.validateHostnames === true;
+  const isIpv4 = options.ipv4 === true;
+  const isExcludingNetworkAndBroadcast = options.excludeNetworkAndBroadcast === true;
+  const resolveGroup = options.groups;
+  const genders = options.genders;
+  const readFile = options.readFile;
+
+  /**
+   * Replaces the file references, group references, genders queries and CIDR blocks of an expression with the
+   * hosts they stand for, adding an error to the state for every one that can't be resolved.
+   * @param {Object} state
+   * @param {String} expression
+   * @returns {String}
+   */
+  const resolveReferences = (state, expression: string) => {
+    const listed = resolveFileReferences(state, expression, readFile);
+    const members = resolveGroups(state, listed, resolveGroup || (() => undefined));
+    const hosts = resolveGendersQueries(state, members, genders || []);
+
+    return isIpv4 ? rewriteAddressBlocks(state, hosts, isExcludingNetworkAndBroadcast) : hosts;
+  };
+
+  return {
+    /**
+     * Parses an expression. When the expression can't be expanded, every problem found is returned as an error
+     * object holding a code from constants, the start and end offsets in the expression and the sub-expression
+     * containing the problem.
+     * @param {String} input The expression must be trimmed of white space, unless the parser is tolerant.
+     * @return {Object}
+     */
+    parse(input: string) {
+      const expression = isTolerant ? tidyExpression(input, separators) : input;
+      const parsed = isTolerant ? { expression } : {};
+      const state = createState(outputs, duplicates, order, isValidatingHostnames);
+      const source = resolveReferences(state, expression);
+
+      if (state.errors.length > 0) return { ...parsed, errors: locateIssues(state.rewrites, state.errors, false) };
+
+      if (hasSetOperators(source)) {
+        parseSetExpression(state, source, cap);
+      } else {
+        const subExpressions = validateExpression(state, source, cap);
+
+        if (state.errors.length === 0)
+          parseExpressionIntoGroups(state, subExpressions.map(x => x.expression), subExpressions);
+      }
+
+      if (state.errors.length > 0) return { ...parsed, errors: locateIssues(state.rewrites, state.errors, false) };
+
+      if (order === "natural") state.expansion = state.expansion.slice().sort(compareHostnames);
+      else if (isIpv4 && order === "sorted")
+        state.expansion = state.expansion.slice().sort((a, b) => getAddressValue(a) - getAddressValue(b));
+
+      if (state.outputs.folded) state.folded = foldHostnames(Object.keys(state.hostnameCache));
+
+      const result = { ...parsed, ...obj.pick(outputs, state) };
+
+      return state.warnings.length > 0
+        ? { ...result, warnings: locateIssues(state.rewrites, state.warnings, true) }
+        : result;
+    },
+
+    /**
+     * Parses the hosts listed in a file, such as the one named by the WCOLL environment variable. It is a
+     * shorthand for parsing a reference to the file.
+     * @param {String} path
+     * @return {Object}
+     */
+    parseFile(path: string) {
+      return this.parse(`^${path}`);
+    },
+
+    /**
+     * Counts the distinct hostnames of an expression without expanding it, after resolving its files, groups,
+     * genders queries and CIDR blocks. Neither the cap nor the duplicates option applies. See count.
+     * @param {String} input The expression must be trimmed of white space, unless the parser is tolerant.
+     * @return {Object} The count, or the errors found
+     */
+    count(input: string) {
+      const expression = isTolerant ? tidyExpression(input, separators) : input;
+      const parsed = isTolerant ? { expression } : {};
+      const state = createState(outputs, duplicates, order, isValidatingHostnames);
+      const source = resolveReferences(state, expression);
+      const total = state.errors.length > 0 ? NaN : sumBlockSizes(findHostnameBlocks(state, source));
+
+      return state.errors.length > 0
+        ? { ...parsed, errors: locateIssues(state.rewrites, state.errors, false) }
+        : { ...parsed, count: total };
+    }
+  };
+}
+
+/**
+ * Lazily expands an expression, producing hostnames one at a time in the same order as the expansion returned by
+ * the parser. Instead of the cap, the expression is only subject to the limit passed in, and duplicates are not
+ * detected. If the expression has any errors, an Error holding them in its errors property is thrown.
+ * @example
+ * // yields 'oss01.lfs', 'oss02.lfs'
+ * iterate('oss[01-02].lfs')
  * @param {String} expression The expression must be trimmed of white space.
- * @return {Array}
- */
-export default (expression: string) => {
-  initialize();
-
-  switch (isEmpty(expression)) {
-    case true:
-      addErrorObject(constants.EXPRESSION_EMPTY);
-      break;
-    case false:
-      parseExpression(expression);
-      break;
+ * @param {Number} [limit] The maximum number of hostnames the expression may produce
+ * @returns {Generator}
+ */
+export function* iterate(expression: string, limit?: number): Generator<string, void, void> {
+  const state = createState();
+  const cap = limit == null ? Infinity : limit;
+
+  if (hasSetOperators(expression)) {
+    const tree = validateSetExpression(state, expression, cap);
+
+    if (state.errors.length > 0) throw createParseError(state.errors);
+
+    let count = 0;
+
+    for (const x of generateSetHostnames(tree)) {
+      count += 1;
+
+      if (count > cap) {
+        addOverCapError(state, expression, cap);
+        throw createParseError(state.errors);
+      }
+
+      yield x;
+    }
+
+    return;
   }
 
-  return errorCollection.errors.length > 0 ? errorCollection : expansionCollection;
-};
+  const subExpressions = validateExpression(state, expression, cap);
+
+  if (state.errors.length > 0) throw createParseError(state.errors);
+
+  for (const x of combineExpressions(subExpressions)) yield* generateExpressionHostnames(x);
+}
 
 /**
- * Initializes the service by clearning out any existing entries in the error and expansion
- * collections.
+ * Finds the hostname at a position of the expansion, in the same order as iterate, without expanding the hostnames
+ * before it. If the expression has any errors, or the index is negative or not a whole number, an Error is thrown.
+ * @example
+ * // returns 'rack2-node0001'
+ * nth('rack[1-400]-node[0001-3012]', 3012)
+ * @param {String} expression The expression must be trimmed of white space.
+ * @param {Number} index The position, from 0
+ * @returns {String|undefined} undefined when the expansion is shorter
  */
-function initialize() {
-  errorCollection = { errors: [] };
-  expansionCollection = { expansion: [], sections: [], expansionHash: {} };
-  hostnameCache = {};
-  duplicates = [];
+export function nth(expression: string, index: number): ?string {
+  checkPosition("Index", index);
+
+  return slice(expression, index, 1)[0];
 }
 
 /**
- * Parses an expression
- * @param {String} expression
+ * Finds the hostnames at a range of positions of the expansion, in the same order as iterate, to page through
+ * an expansion without building it. The offset and the limit must be whole numbers that are not negative. See nth.
+ * @example
+ * // returns ['rack1-node3011', 'rack1-node3012', 'rack2-node0001']
+ * slice('rack[1-400]-node[0001-3012]', 3010, 3)
+ * @param {String} expression The expression must be trimmed of white space.
+ * @param {Number} offset The position of the first hostname, from 0
+ * @param {Number} limit The maximum number of hostnames
+ * @returns {Array}
+ */
+export function slice(expression: string, offset: number, limit: number): string[] {
+  checkPosition("Offset", offset);
+  checkPosition("Limit", limit);
+
+  const state = createState();
+  const hostnames = [];
+
+  if (hasSetOperators(expression)) {
+    const tree = validateSetExpression(state, expression, Infinity);
+
+    if (state.errors.length > 0) throw createParseError(state.errors);
+
+    let position = 0;
+
+    for (const x of generateSetHostnames(tree)) {
+      if (position >= offset + limit) break;
+      if (position >= offset) hostnames.push(x);
+
+      position += 1;
+    }
+
+    return hostnames;
+  }
+
+  const subExpressions = validateExpression(state, expression, Infinity);
+
+  if (state.errors.length > 0) throw createParseError(state.errors);
+
+  let skipped = offset;
+
+  for (const x of combineExpressions(subExpressions)) {
+    if (hostnames.length >= limit) break;
+
+    const ranges = [];
+    const hostname = tokenize(x).reduce(generateHostNameFormat.bind(null, ranges));
+    const valueLists = ranges.map(createValueList);
+    const size = valueLists.reduce((prev, list) => prev * list.length, 1);
+
+    for (let position = skipped; position < size && hostnames.length < limit; position += 1)
+      hostnames.push(findHostnameAt(hostname, valueLists, position));
+
+    skipped = Math.max(0, skipped - size);
+  }
+
+  return hostnames;
+}
+
+/**
+ * Checks that the cap passed to createParser is a whole number that is not negative, or Infinity
+ * @param {Number} cap
+ * @throws {Error} When the cap is negative, NaN or not a whole number
+ */
+function checkCap(cap: number) {
+  if (cap !== Infinity && (!Number.isInteger(cap) || cap < 0))
+    throw new Error("Cap must be a whole number that is not negative, or Infinity.");
+}
+
+/**
+ * Checks that every output passed to createParser is one the parser builds
+ * @param {Array} outputs
+ * @throws {Error} When an output is unknown
  */
-function parseExpression(expression) {
-  const isValid = isExpressionValid(expression);
-  const allExpressions = splitExpressions(expression, isInsideBraces);
-  const notAboveCap = isNotAboveCap(isValid, allExpressions);
-  const validAndNotAboveCap = fp.and([isTrue(isValid), isTrue(notAboveCap)]);
+function checkOutputs(outputs: string[]) {
+  const known = constants.OUTPUTS.concat("folded");
 
-  if (validAndNotAboveCap(allExpressions)) parseExpressionIntoGroups(allExpressions);
+  outputs.forEach(x => {
+    if (known.indexOf(x) === -1) throw new Error(`Output ${x} is not one of ${known.join(", ")}.`);
+  });
 }
 
 /**
- * Parses the expression into groups
- * @param {Array} allExpressions Array of expressions
+ * Checks that a position or a number of hostnames passed to nth or slice is a whole number that is not negative
+ * @param {String} name The name of the argument, for the error message
+ * @param {Number} value
+ * @throws {Error} When the value is negative or not a whole number
  */
-function parseExpressionIntoGroups(allExpressions) {
-  const expandExpressions = fp.flow(
-    tokenize,
-    expandComponents
-  );
-  const expansionGroups = allExpressions
+function checkPosition(name: string, value: number) {
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${name} must be a whole number that is not negative.`);
+}
+
+/**
+ * Combines located expressions the way the parser does before expanding them. Identical expressions share one
+ * expansion group in the parser, so each one is only kept once.
+ * @param {Array} subExpressions The located expressions
+ * @returns {Array}
+ */
+function combineExpressions(subExpressions: Object[]): string[] {
+  const groups = subExpressions
+    .map(x => x.expression)
     .reduce(combineSimilarExpressions, [])
-    .map(x => expandExpressions(x))
-    .reduce(
-      (prev, curGroup) => {
-        prev.expansion[curGroup.expression] = curGroup.expansion;
-        prev.sections[curGroup.expression] = curGroup.sections;
-
-        return prev;
-      },
-      {
-        expansion: {},
-        sections: {}
-      }
-    );
+    .reduce((prev, x) => ({ ...prev, [x]: x }), {});
 
-  processExpandedGroups(expansionGroups);
+  return obj.values(groups);
 }
 
 /**
- * Processes the expanded groups by checking for duplicates and adding to the expansion collection
- * or error collection depending on results.
- * @param {Array} expansionGroups
+ * Finds the hostname at a position of the hostnames of a single expression. The position is split into the
+ * position of each range value, the last range varying the fastest, as generateHostnames walks them.
+ * @example
+ * // returns 'rack2-node1'
+ * findHostnameAt('rack%s-node%s', [createValueList('[1-2]'), createValueList('[1-3]')], 3)
+ * @param {String} hostname The hostname format
+ * @param {Array} valueLists The values of each range, from createValueList
+ * @param {Number} position
+ * @returns {String}
  */
-function processExpandedGroups(expansionGroups) {
-  // Are there any duplicates? If so, add an error indicating which item is duplicated and from
-  // which expression.
+function findHostnameAt(hostname: string, valueLists: ValueList[], position: number) {
+  const values = [];
+
+  valueLists.reduceRight((prev, list) => {
+    values.unshift(list.valueAt(prev % list.length));
 
-  const expandedExpressions = fp.unwrap(obj.values(expansionGroups.expansion));
+    return Math.floor(prev / list.length);
+  }, position);
 
-  if (duplicates.length > 0) retrieveDupExpressionsAndAddErrorMessage(expansionGroups, expandedExpressions, duplicates);
-  else updateExpansionCollection(expansionGroups, expandedExpressions);
+  return values.reduce(replaceTokenWithText, hostname);
 }
 
 /**
- * Retrieves the expressions in which duplicate items exist and adds the error message.
- * @param {Object} expansionGroups
- * @param {Array} expandedExpressions
- * @param {Array} dups
+ * Gives access to the values of a range, in the order generateUniqueRangeValues produces them, by position. Items
+ * writing their values the same way are merged into segments whose values repeat with a period, so each value is
+ * computed from the segment holding it, even when the items overlap. When items writing their values differently
+ * overlap, the values are generated once.
+ * @example
+ * // valueAt(4) returns '10'
+ * createValueList('[1-3,8-12/2]')
+ * @param {String} rangeComponent A range or an alternation
+ * @returns {Object}
  */
-function retrieveDupExpressionsAndAddErrorMessage(expansionGroups, expandedExpressions, dups) {
-  const dupHostname = dups[0];
+function createValueList(rangeComponent: string): ValueList {
+  const items = isAlternation(rangeComponent) ? [] : getSortedItems(rangeComponent).map(describeItem);
+  const groups = groupBy(items, x => x.key);
+  const isSeparated =
+    items.every(x => x.radix === items[0].radix && x.format(x.low) === x.text) &&
+    groups.every((x, index) => {
+      const previous = groups[index - 1];
+
+      return (
+        index === 0 ||
+        previous[0].kind - x[0].kind < 0 ||
+        (previous[0].kind === x[0].kind && Math.max(...previous.map(y => y.high)) < Math.min(...x.map(y => y.low)))
+      );
+    });
 
-  const firstExpression = Object.keys(expansionGroups.expansion).reduce(
-    identifyDuplicateExpression(dupHostname, expansionGroups.expansion),
-    ""
-  );
+  if (items.length === 0 || !isSeparated) {
+    const values = Array.from(generateUniqueRangeValues(rangeComponent));
 
-  const secondExpression = Object.keys(expansionGroups.expansion).reduce(
-    identifyDuplicateExpression(dupHostname, expansionGroups.expansion, firstExpression),
-    ""
-  );
+    return { length: values.length, valueAt: index => values[index] };
+  }
 
-  addErrorObject(
-    "Expression " +
-      secondExpression +
-      " matches previous expansion of " +
-      dupHostname +
-      " generated by " +
-      firstExpression
+  const segments = groups
+    .map(group => findSegments(group).map(x => ({ ...x, format: group[0].format })))
+    .reduce(flattenArrayOfValues, []);
+  const counts = segments.map(({ high, period, firsts }) =>
+    firsts.reduce((prev, x) => prev + Math.floor((high - x) / period) + 1, 0)
   );
+
+  return {
+    length: counts.reduce(sum(fp.identity), 0),
+    valueAt: index => {
+      let segment = 0;
+      let position = index;
+
+      for (; position >= counts[segment]; segment += 1) position -= counts[segment];
+
+      const { period, firsts, format } = segments[segment];
+
+      return format(firsts[position % firsts.length] + Math.floor(position / firsts.length) * period);
+    }
+  };
 }
 
 /**
- * HOF used in a reduce to identify expressions in which a duplicate entry occurred.
- * @param {String} dupHostname
- * @param {Object} expansionGroups
- * @param {String} [matchingExpression]
- * @returns {String}
+ * Describes an item sorted by sortRangeString by its lowest and highest values, its stride and the way it writes
+ * its values. Items with the same key write a value the same way.
+ * @example
+ * // returns { key: '10:2:false', kind: 0, radix: 10, text: '01', low: 1, high: 10, step: 2, format: ... }
+ * describeItem('01-10/2')
+ * @param {String} item
+ * @returns {Object}
  */
-function identifyDuplicateExpression(dupHostname, expansionGroups, matchingExpression) {
-  return (match, curExpression) => {
-    if (
-      match === "" &&
-      (matchingExpression == null || curExpression !== matchingExpression) &&
-      expansionGroups[curExpression].find(x => x === dupHostname)
-    )
-      return curExpression;
-    else return match;
+function describeItem(item: string) {
+  const { range, step, radix } = splitItem(item);
+  const text = range[0];
+  const kind = getValueKind(text, radix);
+  const isPadded = getPrefix(text) !== "";
+
+  return {
+    key: kind > 0 ? String(kind) : `${radix}:${isPadded ? text.length : 0}:${String(hasUpperCaseDigits(range))}`,
+    kind,
+    radix,
+    text,
+    low: getValueOrdinal(text, radix),
+    high: getValueOrdinal(range[range.length - 1], radix),
+    step,
+    format: createValueFormat(text, range, radix)
   };
 }
 
 /**
- * Updates the expansion collection with the expanded list as well as the grouped sections.
- * @param {Object} expansionGroups
- * @param {Array} expandedExpressions
+ * Creates a group resolver for the groups option of createParser out of a map of group names to their members.
+ * Groups of a source other than the default one are named source:name. Members may be an expression or a list of
+ * expressions.
+ * @example
+ * // resolves @oss to 'oss[1-8]' and @rack2:oss to 'oss[9-16]'
+ * createStaticResolver({ oss: 'oss[1-8]', 'rack2:oss': ['oss[9-12]', 'oss[13-16]'] })
+ * @param {Object} groups
+ * @returns {Function}
+ */
+export function createStaticResolver(groups: { [string]: string | string[] }): GroupResolver {
+  return (name: string, source?: string) => {
+    const members = groups[source == null ? name : `${source}:${name}`];
+
+    return Array.isArray(members) ? members.join(",") : members;
+  };
+}
+
+/**
+ * Compresses a list of hostnames into a pdsh expression. Hostnames are grouped by the text surrounding their
+ * numbers and letters, as split by splitHostname, and folded on the last of them that varies within each group.
+ * Zero-padding is inferred the same way the parser interprets it, so parsing the result reproduces the same set of
+ * hostnames.
+ * @example
+ * // returns 'oss[01-04].lfs,mds1.lfs'
+ * compress(['oss01.lfs', 'oss02.lfs', 'oss03.lfs', 'oss04.lfs', 'mds1.lfs'])
+ * @param {Array} hostnames
+ * @returns {String}
+ * @throws {Error} When a hostname can't be written in an expression
  */
-function updateExpansionCollection(expansionGroups, expandedExpressions) {
-  expansionCollection.expansion = expandedExpressions;
-  expansionCollection.sections = fp.unwrap(obj.values(expansionGroups.sections));
-  expansionCollection.expansionHash = hostnameCache;
+export function compress(hostnames: string[]): string {
+  checkHostnames(hostnames);
+
+  return compressHostnames(hostnames);
 }
 
 /**
- * Verifies that the expression is valid
- * @param {String} expression
+ * Compresses a list of hostnames that can be written in an expression. See compress.
+ * @param {Array} hostnames
+ * @returns {String}
+ */
+function compressHostnames(hostnames: string[]): string {
+  return groupBy(findUniqueHostnames(hostnames).map(splitHostname), x => JSON.stringify(x.texts))
+    .map(foldHostnameParts)
+    .reduce(flattenArrayOfValues, [])
+    .join(",");
+}
+
+/**
+ * Folds a list of hostnames into the shortest expression for them, merging across all of their numbers, as the
+ * folded output of the parser does. Unlike that output, the hostnames are not parsed, so any number of them can be
+ * folded.
+ * @example
+ * // returns 'rack[1-2]-node[1-2]'
+ * fold(['rack1-node1', 'rack1-node2', 'rack2-node1', 'rack2-node2'])
+ * @param {Array} hostnames
+ * @returns {String}
+ * @throws {Error} When a hostname can't be written in an expression
+ */
+export function fold(hostnames: string[]): string {
+  checkHostnames(hostnames);
+
+  return foldHostnames(findUniqueHostnames(hostnames));
+}
+
+/**
+ * Checks that every hostname passed to compress or fold can be written in an expression, so it holds no white
+ * space, commas, braces, parentheses or set operators and does not start the way a reference, a query, a filter
+ * or an exclusion does.
+ * @param {Array} hostnames
+ * @throws {Error} When a hostname can't be written in an expression
+ */
+function checkHostnames(hostnames: string[]) {
+  hostnames.forEach(x => {
+    if (/[\s,!&^()[\]{}]|^[-@%/]/.test(x)) throw new Error(`Hostname ${x} can't be written in an expression.`);
+  });
+}
+
+/**
+ * Leaves out empty and repeated hostnames, keeping the first of each.
+ * @param {Array} hostnames
+ * @returns {Array}
+ */
+function findUniqueHostnames(hostnames: string[]) {
+  const seen = {};
+
+  return hostnames.filter(hostname => {
+    if (isEmpty(hostname) || seen[hostname]) return false;
+
+    seen[hostname] = true;
+    return true;
+  });
+}
+
+/**
+ * Compares hostnames in natural order: runs of digits compare by value, so node2 comes before node10, and the rest
+ * compares as text. Numbers of the same value compare by length, so node2 comes before node02.
+ * @example
+ * // returns ['node2', 'node10', 'rack1-node2']
+ * ['node10', 'rack1-node2', 'node2'].sort(compareHostnames)
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+export function compareHostnames(a: string, b: string): number {
+  const piecesA = a.split(/([0-9]+)/);
+  const piecesB = b.split(/([0-9]+)/);
+  const compareText = (x: string, y: string) => (x < y ? -1 : x > y ? 1 : 0);
+
+  for (let index = 0; index < Math.min(piecesA.length, piecesB.length); index += 1) {
+    const x = piecesA[index];
+    const y = piecesB[index];
+    const valueX = x.replace(/^0+/, "");
+    const valueY = y.replace(/^0+/, "");
+    const difference =
+      index % 2 === 1
+        ? valueX.length - valueY.length || compareText(valueX, valueY) || x.length - y.length
+        : compareText(x, y);
+
+    if (difference !== 0) return difference;
+  }
+
+  return piecesA.length - piecesB.length;
+}
+
+/**
+ * Counts the distinct hostnames of an expression without expanding it, so no cap applies. The time taken grows with
+ * the number of ranges rather than the number of hostnames, except for filters, whose hostnames are generated. If
+ * the expression has any errors, an Error holding them in its errors property is thrown.
+ * @example
+ * // returns 20
+ * count('oss[1-10],oss[5-20]')
+ * @param {String} expression The expression must be trimmed of white space.
+ * @returns {Number}
+ */
+export function count(expression: string): number {
+  const state = createState();
+  const total = sumBlockSizes(findHostnameBlocks(state, expression));
+
+  if (state.errors.length > 0) throw createParseError(state.errors);
+
+  return total;
+}
+
+/**
+ * Indicates if an expression produces a hostname, without expanding it. The hostname is matched against the text,
+ * ranges and alternations of each expression, and the values of a range are checked against its endpoints, stride
+ * and padding, so no cap applies. If the expression has any errors, an Error holding them in its errors property
+ * is thrown.
+ * @example
+ * // returns true
+ * contains('rack[1-400]-node[0001-3012]', 'rack12-node0305')
+ * @param {String} expression The expression must be trimmed of white space.
+ * @param {String} hostname
  * @returns {Boolean}
  */
-function isExpressionValid(expression) {
-  // The main thing we need to check for is that for every opening brace there
-  // is a closing brace.
-  const openingBraces = expression.match(/\[/g) || [];
-  const closingBraces = expression.match(/\]/g) || [];
-  const commaNotLastCharacter = expression.charAt(expression.length - 1) !== ",";
+export function contains(expression: string, hostname: string): boolean {
+  const state = createState();
+
+  if (hasSetOperators(expression)) {
+    const tree = validateSetExpression(state, expression, Infinity);
+
+    if (state.errors.length > 0) throw createParseError(state.errors);
 
-  const openingIndicies = getIndexArrayOfBraces(expression, "[");
-  const closingIndicies = getIndexArrayOfBraces(expression, "]");
+    return isInSet(tree, hostname);
+  }
 
-  const hasValidBraceOrder = openingIndicies.reduce((prev, current, index) => {
-    return prev && current < closingIndicies[index];
-  }, true);
+  const subExpressions = validateExpression(state, expression, Infinity);
 
-  const isValid = openingBraces.length === closingBraces.length && commaNotLastCharacter && hasValidBraceOrder;
+  if (state.errors.length > 0) throw createParseError(state.errors);
 
-  fp.cond([isFalse(isValid), addErrorObject], [fp.True, fp.noop])(constants.EXPRESSION_INVALID);
+  return subExpressions.some(x => expressionProduces(x.expression, hostname));
+}
 
-  return isValid;
+/**
+ * Rewrites an expression into a canonical form, so expressions producing the same hostnames are written the same way.
+ * Like count, the hostnames are not expanded. Numbers are written as sorted, merged ranges that keep their padding,
+ * and hexadecimal or letter ranges are used where they take fewer items, so lfs-OST[0x0000-0x00ff] stays hexadecimal
+ * but n0a[1-20] does not. If the expression has any errors, an Error holding them in its errors property is thrown.
+ * @example
+ * // returns 'oss[1-5]'
+ * normalize('oss1,oss[5,2-4]')
+ * @param {String} expression The expression must be trimmed of white space.
+ * @returns {String}
+ */
+export function normalize(expression: string): string {
+  const state = createState();
+  const blocks = findHostnameBlocks(state, expression);
+
+  if (state.errors.length > 0) throw createParseError(state.errors);
+
+  const hexTerms = blocks.map(x => findBlockTerms(x, true)).reduce(flattenArrayOfValues, []);
+  const isHex = (terms: Object[]) => terms.some(x => x.tokens.some(y => y.kind === "hex" || y.kind === "HEX"));
+  const decimalTerms = isHex(hexTerms)
+    ? blocks.map(x => findBlockTerms(x, false)).reduce(flattenArrayOfValues, [])
+    : [];
+  const hexParts = groupBy(hexTerms, findPunctuation);
+  const decimalParts = groupBy(decimalTerms, findPunctuation);
+
+  // Both readings only depend on the hostnames of each part, so choosing between them keeps the form canonical.
+  return hexParts
+    .map(terms => {
+      const hex = writeTerms(terms);
+
+      if (!isHex(terms)) return hex;
+
+      const punctuation = findPunctuation(terms[0]);
+      const decimal = writeTerms(decimalParts.find(x => findPunctuation(x[0]) === punctuation) || []);
+      const countItems = (groups: Object[]) => groups.reduce((prev, x) => prev + x.text.split(",").length, 0);
+
+      return countItems(hex) < countItems(decimal) ? hex : decimal;
+    })
+    .reduce(flattenArrayOfValues, [])
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(x => x.text)
+    .filter(x => x !== "")
+    .join(",");
 }
 
 /**
- * Indicates if the hostlist is greater than cap.
- * @param {Boolean} isValid
- * @param {Array} allExpressions Array of all expressions
+ * Writes terms found by findBlockTerms as a canonical list of expressions for each format. See normalize.
+ * @param {Array} terms
+ * @returns {Array} The expressions of each format, with the format written with %s to sort them by
+ */
+function writeTerms(terms: Object[]): Object[] {
+  return groupBy(terms, x => JSON.stringify(x.texts)).map(group => ({
+    key: group[0].texts.join(constants.TOKEN_TO_REPLACE),
+    text: foldNumberTerms(readTermNumbers(group), 0)
+      .map(numbers => fillFormat(group[0].texts, numbers.map(formatNumberSet)))
+      .join(",")
+  }));
+}
+
+/**
+ * Finds the punctuation of the hostnames of a term, the text around its runs of numbers and letters. However its
+ * numbers are read, the hostnames of a term share it.
+ * @example
+ * // returns '#-#'
+ * findPunctuation({ texts: ['lf', '-OS', '', ''], ... })
+ * @param {Object} term
+ * @returns {String}
+ */
+function findPunctuation(term: Object): string {
+  return fillFormat(term.texts, term.tokens.map(() => "0")).replace(/[0-9a-zA-Z]+/g, "#");
+}
+
+/**
+ * Indicates if two expressions produce the same hostnames, by comparing their canonical forms. See normalize.
+ * @example
+ * // returns true
+ * equals('oss[1-4,5]', 'oss1,oss[2-5]')
+ * @param {String} a
+ * @param {String} b
  * @returns {Boolean}
+ * @throws {Error} When either expression has errors
  */
-function isNotAboveCap(isValid, allExpressions) {
-  let notAboveCap = false;
-  let totalEntries = 0;
+export function equals(a: string, b: string): boolean {
+  return normalize(a) === normalize(b);
+}
 
-  if (isValid) {
-    totalEntries = getTotalEntries(allExpressions);
-    notAboveCap = totalEntries <= constants.CAP;
+/**
+ * Hashes the canonical form of an expression, so expressions producing the same hostnames have the same
+ * fingerprint. The hash is the same across runs and platforms. See normalize.
+ * @example
+ * // returns the same fingerprint as fingerprint('oss1,oss[2-5]')
+ * fingerprint('oss[1-4,5]')
+ * @param {String} expression The expression must be trimmed of white space.
+ * @returns {String} 16 hexadecimal digits
+ * @throws {Error} When the expression has errors
+ */
+export function fingerprint(expression: string): string {
+  const text = normalize(expression);
+  let first = 0xdeadbeef;
+  let second = 0x41c6ce57;
+
+  for (let index = 0; index < text.length; index += 1) {
+    first = Math.imul(first ^ text.charCodeAt(index), 2654435761);
+    second = Math.imul(second ^ text.charCodeAt(index), 1597334677);
+  }
+
+  first = Math.imul(first ^ (first >>> 16), 2246822507) ^ Math.imul(second ^ (second >>> 13), 3266489909);
+  second = Math.imul(second ^ (second >>> 16), 2246822507) ^ Math.imul(first ^ (first >>> 13), 3266489909);
+
+  return [second, first].map(x => (x >>> 0).toString(16).padStart(8, "0")).join("");
+}
+
+/**
+ * Creates the state owned by a single parse. It holds the error, warning and expansion collections, the count of
+ * each hostname expanded so far and the hostnames that were expanded more than once.
+ * @param {Array} [outputs] The outputs to build
+ * @param {String} [duplicatePolicy] How duplicate hostnames are handled
+ * @param {String} [order] The order of the expansion
+ * @param {Boolean} [isValidatingHostnames] Check the hostnames against RFC 1123
+ * @returns {Object}
+ */
+function createState(
+  outputs: string[] = constants.OUTPUTS,
+  duplicatePolicy: string = constants.DUPLICATES,
+  order: string = constants.ORDER,
+  isValidatingHostnames: boolean = false
+) {
+  return {
+    outputs: outputs.reduce((prev, x) => ({ ...prev, [x]: true }), {}),
+    duplicatePolicy,
+    order,
+    isValidatingHostnames,
+    errors: [],
+    warnings: [],
+    rewrites: [],
+    expansion: [],
+    sections: [],
+    expansionHash: {},
+    folded: "",
+    hostnameCache: {},
+    duplicates: []
+  };
+}
+
+/**
+ * Tidies an expression pasted from a spreadsheet or terminal output for the tolerant mode of createParser. Outside
+ * ranges and alternations, every run of separators and commas becomes a single comma, which is left out next to
+ * an operator, a parenthesis or either end of the expression. White space is a separator whether or not it is
+ * listed, and it is removed inside ranges and alternations. Filters and file references are kept as written.
+ * @example
+ * // returns 'node[1-4,7],oss1!oss2'
+ * tidyExpression('node[1 - 4, 7]\n\noss1 ! oss2;\n', ' \t\r\n;')
+ * @param {String} expression
+ * @param {String} separators The characters splitting expressions, besides the comma
+ * @returns {String}
+ */
+function tidyExpression(expression: string, separators: string) {
+  const isSeparator = (char: string) => char === "," || /\s/.test(char) || separators.indexOf(char) > -1;
+  const isBreak = (char: string) => char === "" || isSeparator(char);
+  let tidied = "";
+  let depth = 0;
+  let isSeparated = false;
+
+  for (let index = 0; index < expression.length; index += 1) {
+    const char = expression.charAt(index);
+
+    if (depth > 0) {
+      if (isOpeningBrace(char)) depth += 1;
+      else if (isClosingBrace(char)) depth -= 1;
+
+      if (!/\s/.test(char)) tidied += char;
+      continue;
+    }
+
+    if (isSeparator(char)) isSeparated = true;
+    if (isBreak(char)) continue;
+
+    // A ^ followed by a break is a symmetric difference rather than the start of a file reference.
+    const isOperator = "!&)".indexOf(char) > -1 || (char === "^" && isBreak(expression.charAt(index + 1)));
+    let isOperandStart =
+      tidied === "" || "(,!&^".indexOf(tidied.charAt(tidied.length - 1)) > -1 || tidied.endsWith(",-");
+
+    if (isSeparated && !isOperandStart && !isOperator) {
+      tidied += ",";
+      isOperandStart = true;
+    }
+
+    isSeparated = false;
+
+    if (isOperandStart && char === "/") {
+      const end = findFilterEnd(expression, index);
+
+      tidied += expression.slice(index, end + 1);
+      index = end;
+    } else if (isOperandStart && char === "^" && !isOperator) {
+      let end = index + 1;
+
+      while (end < expression.length && !isBreak(expression.charAt(end))) end += 1;
+
+      tidied += expression.slice(index, end);
+      index = end - 1;
+    } else {
+      if (isOpeningBrace(char)) depth += 1;
+
+      tidied += char;
+    }
+  }
+
+  return tidied;
+}
+
+/**
+ * Validates an expression, adding an error to the state for every problem found.
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Number} cap The maximum number of entries the expression may produce
+ * @returns {Array} The located expressions
+ */
+function validateExpression(state, expression, cap: number) {
+  if (isEmpty(expression)) {
+    addErrorObject(state, "EXPRESSION_EMPTY", { start: 0, end: 0, expression: "" });
+    return [];
   }
 
-  const passesCheck = fp.and([isTrue(isValid), isFalse(notAboveCap), isFalse(isNaN(totalEntries))]);
+  const subExpressions = locateExpressions(expression, splitExpressions(expression, isInsideBraces));
+  const isValid = isExpressionValid(state, expression, subExpressions) && areRangesValid(state, subExpressions);
+
+  isNotAboveCap(state, isValid, subExpressions.map(x => x.expression), expression, cap);
+
+  if (state.errors.length === 0 && state.isValidatingHostnames) validateHostnames(state, subExpressions);
+
+  return subExpressions;
+}
+
+/**
+ * Checks the hostnames of each expression against RFC 1123 without expanding them, adding an error for the first
+ * bad hostname of an expression.
+ * @param {Object} state
+ * @param {Array} subExpressions The located expressions
+ */
+function validateHostnames(state, subExpressions: Object[]) {
+  subExpressions.forEach(({ expression, start, end }) => {
+    for (const block of findExpressionBlocks(expression)) {
+      const problem = findHostnameProblem(block.characters);
+
+      if (problem == null) continue;
+
+      const { code, hostname, label } = problem;
+
+      addErrorObject(state, code, {
+        message: replaceTokenWithText(constants[code], label == null ? hostname : label),
+        start,
+        end,
+        expression,
+        hostname,
+        ...(label == null ? {} : { label })
+      });
+      return;
+    }
+  });
+}
+
+/**
+ * Finds the first way the hostnames of a block break the rules of RFC 1123. The hostname reported picks the first
+ * character of each position, except where a bad character or a hyphen makes its label bad.
+ * @example
+ * // returns { code: 'LABEL_NOT_PROPER_FORMAT', hostname: 'node_1.lfs', label: 'node_1' }
+ * findHostnameProblem(['n', 'o', 'd', 'e', '_', '123', '.', 'l', 'f', 's'])
+ * @param {Array} block
+ * @returns {Object|null} null when every hostname of the block is valid
+ */
+function findHostnameProblem(block: string[]) {
+  const sample = block.map(x => x.charAt(0));
+  const createProblem = (code: string, labelStart?: number, labelEnd?: number) => ({
+    code,
+    hostname: sample.join(""),
+    label: labelStart == null ? undefined : sample.slice(labelStart, labelEnd).join("")
+  });
+
+  if (block.length > 253) return createProblem("HOSTNAME_TOO_LONG");
+
+  for (let labelStart = 0; labelStart <= block.length; ) {
+    const dot = block.indexOf(".", labelStart);
+    const labelEnd = dot === -1 ? block.length : dot;
+
+    if (labelEnd === labelStart) return createProblem("LABEL_EMPTY");
+    if (labelEnd - labelStart > 63) return createProblem("LABEL_TOO_LONG", labelStart, labelEnd);
+
+    for (let position = labelStart; position < labelEnd; position += 1) {
+      const isEdge = position === labelStart || position === labelEnd - 1;
+      const bad = block[position].split("").find(x => !/[A-Za-z0-9-]/.test(x) || (isEdge && x === "-"));
+
+      if (bad != null) {
+        sample[position] = bad;
+        return createProblem("LABEL_NOT_PROPER_FORMAT", labelStart, labelEnd);
+      }
+    }
+
+    labelStart = labelEnd + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Replaces terms of an expression with the expressions found for them. A replacement that is a list is wrapped in
+ * parentheses when either the expression or the replacement uses set operators, so the operators apply to the
+ * whole replacement. The terms are visited from left to right. When a state is passed, the rewrite is recorded in
+ * it, so issues found later can be located at the terms as written with locateIssues.
+ * @example
+ * // returns '(oss1,oss2)!oss2'
+ * replaceTerms('@oss!oss2', term => (term.expression === '@oss' ? 'oss1,oss2' : undefined))
+ * @param {String} expression
+ * @param {Function} findReplacement Receives a term from tokenizeSetExpression and returns its replacement, or
+ * undefined to keep the term
+ * @param {Object} [state]
+ * @returns {String}
+ */
+function replaceTerms(expression: string, findReplacement: Object => ?string, state: ?Object = null): string {
+  const isSetExpression = hasSetOperators(expression);
+  const terms = tokenizeSetExpression(expression).filter(x => x.type === "term");
+  const replacements = terms.map(findReplacement);
+  const replaced = [];
+  let shift = 0;
+
+  const output = terms.reduce((prev, term, index) => {
+    const replacement = replacements[index];
+
+    if (replacement == null) return prev;
+
+    const isList = tokenizeSetExpression(replacement).length > 1;
+    const text = isList && (isSetExpression || hasSetOperators(replacement)) ? `(${replacement})` : replacement;
+    const outputStart = term.start + shift;
+
+    shift += text.length - (term.end - term.start);
+    replaced.push({ start: term.start, end: term.end, outputStart, outputEnd: outputStart + text.length });
+
+    return prev.slice(0, outputStart) + text + prev.slice(outputStart + term.end - term.start);
+  }, expression);
+
+  if (state != null && replaced.length > 0)
+    state.rewrites.push({ input: expression, output, replaced, errorCount: state.errors.length });
+
+  return output;
+}
+
+/**
+ * Points issues at the expression as written, rather than at the expression its file references, group references,
+ * genders queries and CIDR blocks were rewritten to. An issue inside a replacement is located at the term it
+ * replaced. Errors are only taken back through the rewrites made before they were added, so errors naming a file
+ * line keep their offsets into the line.
+ * @param {Array} rewrites The rewrites recorded by replaceTerms, in the order they were made
+ * @param {Array} issues
+ * @param {Boolean} isFoundAfterRewriting Every issue was found in the rewritten expression
+ * @returns {Array}
+ */
+function locateIssues(rewrites: Object[], issues: ParseError[], isFoundAfterRewriting: boolean): ParseError[] {
+  return issues.map((issue, index) =>
+    rewrites
+      .filter(x => isFoundAfterRewriting || x.errorCount <= index)
+      .reduceRight((prev, rewrite) => locateIssue(rewrite, prev), issue)
+  );
+}
+
+/**
+ * Finds the text as written of a located expression of the rewritten expression
+ * @example
+ * // returns '@oss' when @oss,mds1 was rewritten to oss[1-4],mds1
+ * findWrittenExpression(state.rewrites, { expression: 'oss[1-4]', start: 0, end: 8 })
+ * @param {Array} rewrites The rewrites recorded by replaceTerms, in the order they were made
+ * @param {Object} located
+ * @returns {String}
+ */
+function findWrittenExpression(rewrites: Object[], located: Object): string {
+  return rewrites.reduceRight((prev, rewrite) => locateIssue(rewrite, prev), located).expression;
+}
+
+/**
+ * Takes an issue back through a rewrite. The sub-expression of the issue becomes the text of the expression as
+ * written that it was rewritten from.
+ * @param {Object} rewrite
+ * @param {Object} issue
+ * @returns {Object}
+ */
+function locateIssue(rewrite: Object, issue: ParseError): ParseError {
+  const start = findWrittenOffset(rewrite.replaced, issue.start, false);
+  const end = Math.max(start, findWrittenOffset(rewrite.replaced, issue.end, true));
+  const at = rewrite.output.lastIndexOf(issue.expression, issue.start);
+
+  if (at < 0 || at + issue.expression.length < issue.end) return { ...issue, start, end };
+
+  const expression = rewrite.input.slice(
+    findWrittenOffset(rewrite.replaced, at, false),
+    findWrittenOffset(rewrite.replaced, at + issue.expression.length, true)
+  );
+
+  return { ...issue, start, end, expression };
+}
+
+/**
+ * Finds the offset in the expression as written of an offset in the rewritten expression. An offset inside a
+ * replacement becomes the start or end of the term it replaced.
+ * @param {Array} replaced The replacements of a rewrite, from left to right
+ * @param {Number} offset
+ * @param {Boolean} isEnd The offset ends a span, so it belongs to the replacement it follows
+ * @returns {Number}
+ */
+function findWrittenOffset(replaced: Object[], offset: number, isEnd: boolean): number {
+  let shift = 0;
+
+  for (const x of replaced) {
+    if (offset < x.outputStart || (isEnd && offset === x.outputStart)) break;
+    if (offset < x.outputEnd || (isEnd && offset === x.outputEnd)) return isEnd ? x.end : x.start;
+
+    shift = x.outputEnd - x.end;
+  }
+
+  return offset - shift;
+}
+
+/**
+ * Replaces the file references of an expression with the lines of the files. Lines using set operators are wrapped
+ * in parentheses, so each line is evaluated on its own. Every line is validated before the file is used, and its
+ * errors are added to the state naming the file and the line. A line may reference other files. An error naming
+ * the file is added for a file that can't be read and for a file that references itself.
+ * @example
+ * // returns 'oss[1-2],(mds[1-2]!mds2)' when /etc/hosts holds the lines oss[1-2] and mds[1-2]!mds2
+ * resolveFileReferences(state, '^/etc/hosts', readFile)
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Function} [readFile]
+ * @param {Array} [references] The files being resolved, outermost first
+ * @param {Object} [location] The term of the outermost reference, which errors are located at
+ * @returns {String}
+ */
+function resolveFileReferences(
+  state,
+  expression: string,
+  readFile?: (path: string) => string,
+  references: string[] = [],
+  location: ?Object = null
+): string {
+  return replaceTerms(
+    expression,
+    term => {
+      if (term.expression.charAt(0) !== "^") return;
+
+      const file = term.expression.slice(1);
+      const { start, end, expression: referencingExpression } = location || term;
+      const addFileError = code =>
+        addErrorObject(state, code, {
+          message: replaceTokenWithText(constants[code], file),
+          start,
+          end,
+          expression: referencingExpression,
+          file
+        });
+
+      if (references.indexOf(file) > -1) {
+        addFileError("FILE_CYCLE");
+        return;
+      }
+
+      const contents = readContents(file, readFile);
+
+      if (contents == null) {
+        addFileError("FILE_NOT_READABLE");
+        return;
+      }
+
+      const lines = contents
+        .split(/\r?\n/)
+        .map((x, index) => ({ expression: x.replace(/#.*$/, "").trim(), line: index + 1 }))
+        .filter(x => x.expression !== "");
+
+      lines.forEach(({ expression: line, line: number }) => {
+        const lineState = createState();
+
+        if (hasSetOperators(line)) validateSetExpression(lineState, line, Infinity);
+        else validateExpression(lineState, line, Infinity);
+
+        lineState.errors.forEach(x => addErrorObject(state, x.code, { ...x, file, line: number }));
+      });
+
+      return resolveFileReferences(
+        state,
+        lines.map(x => (hasSetOperators(x.expression) ? `(${x.expression})` : x.expression)).join(","),
+        readFile,
+        references.concat(file),
+        location || term
+      );
+    },
+    location == null ? state : null
+  );
+}
+
+/**
+ * Reads the contents of a file with the reader passed in
+ * @param {String} file
+ * @param {Function} [readFile]
+ * @returns {String|null} null when there is no reader or the reader fails
+ */
+function readContents(file: string, readFile?: (path: string) => string) {
+  if (readFile == null) return null;
+
+  try {
+    return readFile(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Replaces the group references of an expression with the members of the groups. An error naming the group is
+ * added for a group that is not defined and for a group that references itself.
+ * @example
+ * // returns 'oss[1-8]!oss3' when @oss has the members oss[1-8]
+ * resolveGroups(state, '@oss!oss3', resolveGroup)
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Function} resolveGroup
+ * @param {Array} [references] The references being resolved, outermost first
+ * @param {Object} [location] The term of the outermost reference, which errors are located at
+ * @returns {String}
+ */
+function resolveGroups(
+  state,
+  expression: string,
+  resolveGroup: GroupResolver,
+  references: string[] = [],
+  location: ?Object = null
+): string {
+  return replaceTerms(
+    expression,
+    term => {
+      const reference = groupReferenceRegex.exec(term.expression);
+
+      if (reference == null) return;
+
+      const group = term.expression.slice(1);
+      const { start, end, expression: referencingExpression } = location || term;
+      const addGroupError = code =>
+        addErrorObject(state, code, {
+          message: replaceTokenWithText(constants[code], group),
+          start,
+          end,
+          expression: referencingExpression,
+          group
+        });
+
+      if (references.indexOf(group) > -1) {
+        addGroupError("GROUP_CYCLE");
+        return;
+      }
+
+      const members = reference[1] == null ? resolveGroup(reference[2]) : resolveGroup(reference[2], reference[1]);
+
+      if (members == null) {
+        addGroupError("UNKNOWN_GROUP");
+        return;
+      }
+
+      return resolveGroups(state, members, resolveGroup, references.concat(group), location || term);
+    },
+    location == null ? state : null
+  );
+}
+
+/**
+ * Replaces the genders queries of an expression with the hosts matching them, compressed into an expression. An
+ * error naming the query is added for a query that is not in the proper format and for a query matching no host.
+ * @example
+ * // returns 'mds[1-2],oss1' when mds1 and mds2 have the mds attribute
+ * resolveGendersQueries(state, '%mds,oss1', genders)
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Array} genders
+ * @returns {String}
+ */
+function resolveGendersQueries(state, expression: string, genders: GendersDatabase): string {
+  return replaceTerms(
+    expression,
+    term => {
+      const query = term.expression;
+
+      if (query.charAt(0) !== "%") return;
+
+      const addQueryError = code =>
+        addErrorObject(state, code, {
+          message: replaceTokenWithText(constants[code], query),
+          start: term.start,
+          end: term.end,
+          expression: query,
+          query
+        });
+
+      if (!gendersQueryRegex.test(query)) {
+        addQueryError("QUERY_NOT_PROPER_FORMAT");
+        return;
+      }
+
+      const hostnames = genders.filter(x => matchesGendersQuery(query.slice(1), x.attributes)).map(x => x.hostname);
+
+      if (hostnames.length === 0) {
+        addQueryError("QUERY_EMPTY");
+        return;
+      }
+
+      return compressHostnames(hostnames);
+    },
+    state
+  );
+}
+
+/**
+ * Indicates if the attributes of a host match a genders query
+ * @example
+ * // returns true
+ * matchesGendersQuery('role=oss&&rack=3', { role: 'oss', rack: '3', lustre: null })
+ * @param {String} query The query without its leading %
+ * @param {Object} attributes
+ * @returns {Boolean}
+ */
+function matchesGendersQuery(query: string, attributes: { [string]: ?string }) {
+  return query.split("||").some(conjunction =>
+    conjunction.split("&&").every(condition => {
+      const [name, value] = condition.split("=");
+
+      return attributes.hasOwnProperty(name) && (value == null || attributes[name] === value);
+    })
+  );
+}
+
+/**
+ * Rewrites the CIDR blocks of an expression of IPv4 addresses into ranges, adding an error to the state for every
+ * term that is not a valid address.
+ * @example
+ * // returns '10.0.0.[1-14],10.0.1.[1-2]'
+ * rewriteAddressBlocks(state, '10.0.0.0/28,10.0.1.[1-2]', true)
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Boolean} isExcludingNetworkAndBroadcast Leave the network and broadcast addresses out of the blocks
+ * @returns {String}
+ */
+function rewriteAddressBlocks(state, expression: string, isExcludingNetworkAndBroadcast: boolean) {
+  return replaceTerms(
+    expression,
+    term => {
+      const code = findAddressErrorCode(term.expression);
+
+      if (code != null) {
+        addErrorObject(state, code, { start: term.start, end: term.end, expression: term.expression });
+        return;
+      }
+
+      if (addressBlockRegex.test(term.expression))
+        return findAddressBlockRanges(term.expression, isExcludingNetworkAndBroadcast).join(",");
+    },
+    state
+  );
+}
+
+/**
+ * Finds the code of the error in an IPv4 address or CIDR block. Octets may not be padded with zeros, and a block
+ * may not have any bits set after its prefix. Ranges that are not in the proper format are left to areRangesValid.
+ * @param {String} term
+ * @returns {String|undefined}
+ */
+function findAddressErrorCode(term: string) {
+  const block = addressBlockRegex.exec(term);
+
+  if (block) {
+    const [address, prefixLength] = [block.slice(1, 5).join("."), +block[5]];
+
+    if (block.slice(1, 6).some(x => getPrefix(x).length > 0)) return "ADDRESS_NOT_PROPER_FORMAT";
+    if (block.slice(1, 5).some(x => +x > constants.MAX_OCTET)) return "OCTET_OVER_MAX";
+    if (prefixLength > 32 || getAddressValue(address) % Math.pow(2, 32 - prefixLength) !== 0)
+      return "ADDRESS_NOT_PROPER_FORMAT";
+
+    return;
+  }
+
+  const octets = term.split(".");
+
+  if (octets.length !== 4 || !octets.every(x => octetRegex.test(x))) return "ADDRESS_NOT_PROPER_FORMAT";
+  if (!octets.every(x => (range(x) ? x.slice(1, -1) : x).split(",").every(isValidRange))) return;
+
+  const components = octets.map(getMinMaxComponents).reduce((prev, x) => prev.concat(x), []);
+  const isNotDecimal = x =>
+    x.radix === 16 || isAlphabetic(x.minText) || [x.minText, x.maxText].some(y => getPrefix(y).length > 0);
+
+  if (components.some(isNotDecimal)) return "ADDRESS_NOT_PROPER_FORMAT";
+  if (components.some(x => x.max > constants.MAX_OCTET)) return "OCTET_OVER_MAX";
+}
+
+/**
+ * Finds the ranges of addresses in a CIDR block.
+ * @example
+ * // returns ['10.0.0.[1-255]', '10.0.[1-2].[0-255]', '10.0.3.[0-254]']
+ * findAddressBlockRanges('10.0.0.0/22', true)
+ * @param {String} block A valid CIDR block
+ * @param {Boolean} isExcludingNetworkAndBroadcast Leave the network and broadcast addresses out of the block
+ * @returns {Array}
+ */
+function findAddressBlockRanges(block: string, isExcludingNetworkAndBroadcast: boolean) {
+  const [address, prefixLength] = block.split("/");
+  const network = getAddressValue(address);
+  const broadcast = network + Math.pow(2, 32 - +prefixLength) - 1;
+  const isExcluding = isExcludingNetworkAndBroadcast && +prefixLength < 31;
+  const toOctets = x => [24, 16, 8, 0].map(shift => Math.floor(x / Math.pow(2, shift)) % 256);
+
+  return findOctetRanges(
+    toOctets(isExcluding ? network + 1 : network),
+    toOctets(isExcluding ? broadcast - 1 : broadcast)
+  );
+}
+
+/**
+ * Finds the ranges covering every address from first to last. Octets after the first one that differs are covered
+ * whole where possible, and the partial addresses at either end get ranges of their own.
+ * @example
+ * // returns ['0.[1-255]', '[1-2].[0-255]', '3.[0-254]']
+ * findOctetRanges([0, 1], [3, 254])
+ * @param {Array} first The octets of the first address
+ * @param {Array} last The octets of the last address
+ * @returns {Array}
+ */
+function findOctetRanges(first: number[], last: number[]): string[] {
+  if (first.length === 0) return [""];
+
+  const [low, ...firstRest] = first;
+  const [high, ...lastRest] = last;
+  const prependOctet = (octet, ranges) => ranges.map(x => (x === "" ? octet : `${octet}.${x}`));
+  const lowest = firstRest.map(() => 0);
+  const highest = firstRest.map(() => constants.MAX_OCTET);
+
+  if (low === high) return prependOctet(`${low}`, findOctetRanges(firstRest, lastRest));
+
+  const isLowWhole = firstRest.every(x => x === 0);
+  const isHighWhole = lastRest.every(x => x === constants.MAX_OCTET);
+  const [from, to] = [isLowWhole ? low : low + 1, isHighWhole ? high : high - 1];
+  const middle = from === to ? `${from}` : `[${from}-${to}]`;
+
+  return [
+    ...(isLowWhole ? [] : prependOctet(`${low}`, findOctetRanges(firstRest, highest))),
+    ...(from <= to ? prependOctet(middle, findOctetRanges(lowest, highest)) : []),
+    ...(isHighWhole ? [] : prependOctet(`${high}`, findOctetRanges(lowest, lastRest)))
+  ];
+}
+
+/**
+ * Finds the numeric value of an IPv4 address
+ * @example
+ * // returns 167772161
+ * getAddressValue('10.0.0.1')
+ * @param {String} address
+ * @returns {Number}
+ */
+function getAddressValue(address: string) {
+  return address.split(".").reduce((prev, x) => prev * 256 + +x, 0);
+}
+
+/**
+ * Creates an Error holding the errors found in an expression.
+ * @param {Array} errors
+ * @returns {Error}
+ */
+function createParseError(errors: ParseError[]) {
+  const error: Object = new Error(errors.map(x => x.message).join("\n"));
+  error.errors = errors;
+
+  return error;
+}
+
+/**
+ * Pairs each expression produced by splitExpressions with its location in the original expression. White space
+ * is removed from the expressions, so the offset of every remaining character is kept as well.
+ * @example
+ * // returns [{ expression: 'a[1,2]', start: 0, end: 7, offsets: [0, 1, 2, 3, 5, 6] }, ...]
+ * locateExpressions('a[1, 2], b', ['a[1,2]', 'b'])
+ * @param {String} expression The original expression
+ * @param {Array} expressions The expressions produced by splitExpressions
+ * @returns {Array}
+ */
+function locateExpressions(expression: string, expressions: string[]) {
+  const offsets = [];
+  let position = 0;
+
+  expression.split("").forEach((char, index) => {
+    if (char !== " ") offsets.push(index);
+  });
+
+  return expressions.map(x => {
+    const expressionOffsets = offsets.slice(position, position + x.length);
+    const start = position < offsets.length ? offsets[position] : expression.length;
+    position += x.length + 1;
+
+    return {
+      expression: x,
+      start,
+      end: expressionOffsets.length > 0 ? expressionOffsets[expressionOffsets.length - 1] + 1 : start,
+      offsets: expressionOffsets
+    };
+  });
+}
+
+/**
+ * Finds the located expression that contains the specified offset of the original expression.
+ * @param {Array} subExpressions
+ * @param {Number} offset
+ * @returns {Object}
+ */
+function findSubExpression(subExpressions, offset: number) {
+  return subExpressions.reduce((match, x) => (x.start <= offset ? x : match), subExpressions[0]);
+}
+
+/**
+ * Parses the expression into groups
+ * @param {Object} state
+ * @param {Array} allExpressions Array of expressions
+ * @param {Array} subExpressions The located expressions
+ */
+function parseExpressionIntoGroups(state, allExpressions, subExpressions) {
+  const isWalking = isWalkNeeded(state, allExpressions);
+  const expandExpressions = fp.flow(
+    tokenize,
+    x => expandComponents(state, x, isWalking)
+  );
+  const sources = {};
+  // Repeats are kept when duplicates are allowed, so the expressions are expanded as written. Combining expressions
+  // would reorder their hostnames, so they are only tracked when the input order is kept.
+  const expressions =
+    state.duplicatePolicy === "allow"
+      ? allExpressions
+      : allExpressions.reduce((prevExpressions, curExpression, index) => {
+          const updatedExpressions =
+            state.order === "input"
+              ? [...prevExpressions, curExpression]
+              : combineSimilarExpressions(prevExpressions, curExpression);
+          trackSources(sources, prevExpressions, updatedExpressions, subExpressions[index]);
+
+          return updatedExpressions;
+        }, []);
+  const expansionGroups = expressions.map(x => expandExpressions(x));
+
+  processExpandedGroups(state, expansionGroups, sources, isWalking);
+}
+
+/**
+ * Records which located expressions were combined into each expression after a step of
+ * combineSimilarExpressions.
+ * @param {Object} sources Lists of located expressions keyed by combined expression
+ * @param {Array} prevExpressions The combined expressions before the step
+ * @param {Array} updatedExpressions The combined expressions after the step
+ * @param {Object} subExpression The located expression added in the step
+ */
+function trackSources(sources, prevExpressions, updatedExpressions, subExpression) {
+  updatedExpressions.forEach((x, index) => {
+    const isNew = index >= prevExpressions.length;
+
+    if (!isNew && x === prevExpressions[index]) return;
+
+    sources[x] = ((!isNew && sources[prevExpressions[index]]) || []).concat(sources[x] || [], [subExpression]);
+  });
+}
+
+/**
+ * Processes the expanded groups by checking for duplicates and adding to the expansion collection
+ * or error collection depending on results.
+ * @param {Object} state
+ * @param {Array} expansionGroups
+ * @param {Object} sources Lists of located expressions keyed by combined expression
+ * @param {Boolean} isWalking The hostnames were walked. They are not when the expressions can't repeat one.
+ */
+function processExpandedGroups(state, expansionGroups, sources, isWalking: boolean) {
+  const addIssue = state.duplicatePolicy === "dedupe" ? addWarningObject : addErrorObject;
+
+  // Are there any duplicates? If so, report every duplicated item along with the expressions it came from;
+  // an error fails the parse while a warning only accompanies it.
+  if (state.duplicatePolicy !== "allow" && isWalking) reportDuplicates(state, expansionGroups, sources, addIssue);
+
+  if (state.errors.length === 0) updateExpansionCollection(state, expansionGroups);
+}
+
+/**
+ * Reports every duplicated hostname, naming all of the expressions as written that produced it. A hostname is
+ * duplicated when more than one expansion group produced it, or when expressions combined into a group overlap
+ * there. The blocks of the expressions of a group are intersected first, so the hostnames of a group are only
+ * walked when there are duplicates or its expressions overlap.
+ * @param {Object} state
+ * @param {Array} expansionGroups
+ * @param {Object} sources Lists of located expressions keyed by combined expression
+ * @param {Function} addIssue Adds the report to the state
+ */
+function reportDuplicates(state, expansionGroups, sources, addIssue) {
+  const isDuplicate = {};
+  const isVisited = {};
+  const producers = {};
+  const hostnames = [];
+
+  state.duplicates.forEach(x => (isDuplicate[x] = true));
+
+  expansionGroups.forEach(group => {
+    // Identical expressions share a single combined expression, whose sources hold all of them.
+    if (isVisited[group.expression]) return;
+
+    isVisited[group.expression] = true;
+
+    const located = (sources[group.expression] || []).map(x => ({
+      ...x,
+      written: findWrittenExpression(state.rewrites, x)
+    }));
+    const blocks = located.map(x => findExpressionBlocks(x.expression));
+    const overlaps = findOverlappingBlocks(blocks);
+
+    if (state.duplicates.length === 0 && overlaps.length === 0) return;
+
+    for (const hostname of group.hostnames()) {
+      if (!isDuplicate[hostname] && !overlaps.some(x => isInBlock(hostname, x))) continue;
+
+      if (producers[hostname] == null) {
+        producers[hostname] = [];
+        hostnames.push(hostname);
+      }
+
+      located
+        .filter((x, index) => blocks[index].some(y => isInBlock(hostname, y)))
+        .forEach(x => producers[hostname].push(x));
+    }
+  });
+
+  // The report is located at the expression as written once the parse is done, so only the names are taken back.
+  hostnames.forEach(hostname => {
+    const expressions = producers[hostname].sort((a, b) => a.start - b.start);
+    const last = expressions[expressions.length - 1];
+
+    addIssue(state, "DUPLICATE_EXPANSION", {
+      message: [
+        last.written,
+        hostname,
+        expressions
+          .slice(0, -1)
+          .map(x => x.written)
+          .join(", ")
+      ].reduce(replaceTokenWithText, constants.DUPLICATE_EXPANSION),
+      start: last.start,
+      end: last.end,
+      expression: last.expression,
+      hostname,
+      expressions: expressions.map(x => x.written)
+    });
+  });
+}
+
+/**
+ * Finds the hostnames that the blocks of more than one expression hold
+ * @param {Array} blocks The blocks of each expression
+ * @returns {Array} Blocks that may overlap
+ */
+function findOverlappingBlocks(blocks: Block[][]): Block[] {
+  const overlaps = [];
+
+  blocks.forEach((x, index) =>
+    blocks
+      .slice(0, index)
+      .reduce(flattenArrayOfValues, [])
+      .forEach(y =>
+        x
+          .map(z => intersectBlocks(y, z))
+          .filter(isBlockFilled)
+          .forEach(z => overlaps.push(z))
+      )
+  );
+
+  return overlaps;
+}
+
+/**
+ * Updates the expansion collection with the expanded list as well as the grouped sections.
+ * @param {Object} state
+ * @param {Array} expansionGroups
+ */
+function updateExpansionCollection(state, expansionGroups) {
+  state.expansion = expansionGroups.map(x => x.expansion).reduce(flattenArrayOfValues, []);
+  state.sections = expansionGroups.map(x => x.sections).reduce(flattenArrayOfValues, []);
+  state.expansionHash =
+    state.duplicatePolicy === "dedupe"
+      ? Object.keys(state.hostnameCache).reduce((prev, x) => {
+          prev[x] = 1;
+          return prev;
+        }, {})
+      : state.hostnameCache;
+}
+
+/**
+ * Indicates if the expression uses a set operator or parentheses outside of a range.
+ * @param {String} expression
+ * @returns {Boolean}
+ */
+function hasSetOperators(expression: string) {
+  return tokenizeSetExpression(expression).some(x => x.type !== "term" && x.value !== ",");
+}
+
+/**
+ * Splits an expression using set operators into terms, operators, parentheses and filters. Characters inside a
+ * range or an alternation, and the && of a genders query, belong to the term around it. A ^ starting an operand
+ * starts a file reference. As in pdsh, a - starting an operand after a comma excludes the operand, so the comma
+ * becomes a !, and an operand between slashes is a filter keeping the hostnames matching a regular expression, or
+ * dropping them when it starts with a -. Characters inside a filter, including commas, belong to the filter.
+ * White space is removed from the terms, which are located in the same way as the expressions from
+ * locateExpressions.
+ * @example
+ * // returns [{ type: 'term', expression: 'oss[1-8]', ... }, { type: 'operator', value: '!', start: 9 }, ...]
+ * tokenizeSetExpression('oss[1-8] ! oss[3-4]')
+ * @example
+ * // returns [{ type: 'term', ... }, { type: 'operator', value: ',', ... }, { type: 'filter', pattern: '[0-9]{1,2}$',
+ * // isKept: false, ... }]
+ * tokenizeSetExpression('oss[1-200],-/[0-9]{1,2}$/')
+ * @param {String} expression
+ * @returns {Array}
+ */
+function tokenizeSetExpression(expression: string) {
+  const tokens: Object[] = [];
+  let offsets = [];
+  let depth = 0;
+  let exclusionStart = null;
+
+  const addTerm = () => {
+    if (offsets.length === 0) return;
+
+    tokens.push({
+      type: "term",
+      expression: offsets.map(x => expression.charAt(x)).join(""),
+      start: offsets[0],
+      end: offsets[offsets.length - 1] + 1,
+      offsets
+    });
+    offsets = [];
+  };
+
+  for (let index = 0; index < expression.length; index += 1) {
+    const char = expression.charAt(index);
+    const lastToken = tokens[tokens.length - 1];
+    const isOperandStart =
+      offsets.length === 0 &&
+      (lastToken == null || lastToken.type === "operator" || lastToken.type === constants.OPEN_PAREN);
+
+    if (isOperandStart && char === "/") {
+      const end = findFilterEnd(expression, index);
+      const start = exclusionStart == null ? index : exclusionStart;
+
+      tokens.push({
+        type: "filter",
+        expression: expression.slice(start, end + 1),
+        pattern: end < expression.length ? expression.slice(index + 1, end) : null,
+        isKept: exclusionStart == null,
+        start,
+        end: Math.min(end + 1, expression.length)
+      });
+      exclusionStart = null;
+      index = end;
+      continue;
+    }
+
+    if (isOpeningBrace(char)) depth += 1;
+    else if (isClosingBrace(char) && depth > 0) depth -= 1;
+
+    if (char === " ") continue;
+
+    if (isOperandStart && char === "-" && exclusionStart == null && lastToken && lastToken.value === ",") {
+      exclusionStart = index;
+      continue;
+    }
+
+    if (exclusionStart != null) {
+      tokens[tokens.length - 1] = { ...lastToken, value: "!" };
+      exclusionStart = null;
+    }
+
+    // The && of a genders query belongs to the query.
+    const isQueryConjunction =
+      char === "&" &&
+      offsets.length > 0 &&
+      expression.charAt(offsets[0]) === "%" &&
+      (expression.charAt(index - 1) === "&" || expression.charAt(index + 1) === "&");
+
+    // A ^ starting an operand names a file rather than being a symmetric difference.
+    const isFileReference = char === "^" && isOperandStart;
+
+    if (depth > 0 || isOpeningBrace(char) || isQueryConjunction || isFileReference) {
+      offsets.push(index);
+    } else if (constants.SET_OPERATORS.indexOf(char) > -1) {
+      addTerm();
+      tokens.push({ type: "operator", value: char, start: index });
+    } else if (char === constants.OPEN_PAREN || char === constants.CLOSING_PAREN) {
+      addTerm();
+      tokens.push({ type: char, value: char, start: index });
+    } else {
+      offsets.push(index);
+    }
+  }
+
+  addTerm();
+
+  return tokens;
+}
+
+/**
+ * Finds the slash closing a filter. Slashes escaped with a backslash belong to the regular expression.
+ * @param {String} expression
+ * @param {Number} start The offset of the slash opening the filter
+ * @returns {Number} The length of the expression when the filter is not closed
+ */
+function findFilterEnd(expression: string, start: number) {
+  for (let index = start + 1; index < expression.length; index += 1)
+    if (expression.charAt(index) === "\\") index += 1;
+    else if (expression.charAt(index) === "/") return index;
+
+  return expression.length;
+}
+
+/**
+ * Validates an expression using set operators, adding an error to the state for every problem found. The terms
+ * are checked the same way as the expressions of a plain list, and filters are checked when the tree is built.
+ * The cap applies to the final set, but a term producing more entries than can be counted exactly is over any cap.
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Number} cap The maximum number of entries
+ * @returns {Object} The tree of the expression
+ */
+function validateSetExpression(state, expression: string, cap: number) {
+  const tokens = tokenizeSetExpression(expression);
+  const terms = tokens.filter(x => x.type === "term");
+  // The braces of a regular expression don't need partners, so filters are blanked out before braces are checked.
+  const unfiltered = tokens
+    .filter(x => x.type === "filter")
+    .reduce((prev, x) => prev.slice(0, x.start) + " ".repeat(x.end - x.start) + prev.slice(x.end), expression);
+  const isValid = terms.length > 0 && isExpressionValid(state, unfiltered, terms) && areRangesValid(state, terms);
+
+  if (isValid && terms.some(x => getTotalEntries([x.expression]) > Number.MAX_SAFE_INTEGER))
+    addOverCapError(state, expression, cap);
+
+  if (state.errors.length === 0 && state.isValidatingHostnames) validateHostnames(state, terms);
+
+  return parseSetTokens(state, expression, tokens);
+}
+
+/**
+ * Builds the tree of an expression using set operators. Operators are applied from left to right and
+ * parentheses group their contents. A filter applies to everything on its left, so it must follow a comma. An
+ * error is added for a missing term, for a parenthesis without a partner and for a filter that is misplaced, not
+ * closed or not a valid regular expression.
+ * @example
+ * // returns { operator: ',', left: { operator: '!', left: oss[1-8], right: oss[3-4] }, right: mds1 }
+ * parseSetTokens(state, 'oss[1-8]!oss[3-4],mds1', tokens)
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Array} tokens The tokens from tokenizeSetExpression
+ * @returns {Object}
+ */
+function parseSetTokens(state, expression: string, tokens: Object[]) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const addInvalidError = token =>
+    addErrorObject(state, "EXPRESSION_INVALID", {
+      start: token.start,
+      end: token.end || token.start + 1,
+      expression: token.expression || expression
+    });
+
+  const parseOperand = () => {
+    const token = peek();
+
+    if (token && token.type === "term") {
+      position += 1;
+      return token;
+    }
+
+    if (token && token.type === "filter") {
+      position += 1;
+      addInvalidError(token);
+
+      return { type: "term", expression: "", start: token.start, end: token.end, offsets: [] };
+    }
+
+    if (token && token.type === constants.OPEN_PAREN) {
+      position += 1;
+      const tree = parseList();
+
+      if (peek() && peek().type === constants.CLOSING_PAREN) position += 1;
+      else addInvalidError(token);
+
+      return tree;
+    }
+
+    const offset = token ? token.start : expression.length;
+    addErrorObject(state, "EXPRESSION_EMPTY", { start: offset, end: offset, expression: "" });
+
+    return { type: "term", expression: "", start: offset, end: offset, offsets: [] };
+  };
+
+  const parseFilter = left => {
+    const token = peek();
+    const pattern = compilePattern(token.pattern);
+    position += 1;
+
+    if (pattern != null) return { operator: "filter", left, pattern, isKept: token.isKept };
+
+    addInvalidError(token);
+    return left;
+  };
+
+  const parseList = () => {
+    let tree = parseOperand();
+
+    while (peek() && peek().type === "operator") {
+      const operator = peek();
+      position += 1;
+
+      // Like a trailing comma in a list, an operator ending the expression is invalid.
+      if (peek() == null) addInvalidError(operator);
+      else if (peek().type === "filter" && operator.value === ",") tree = parseFilter(tree);
+      else tree = { operator: operator.value, left: tree, right: parseOperand() };
+    }
+
+    return tree;
+  };
+
+  const tree = parseList();
+
+  if (peek()) addInvalidError(peek());
+
+  return tree;
+}
+
+/**
+ * Compiles the regular expression of a filter
+ * @param {String} [pattern]
+ * @returns {RegExp|null} null when there is no pattern or it is not a valid regular expression
+ */
+function compilePattern(pattern: ?string) {
+  if (pattern == null) return null;
+
+  try {
+    return new RegExp(pattern);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parses an expression using set operators. The final set is collected until it exceeds the cap.
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Number} cap The maximum number of entries the final set may hold
+ */
+function parseSetExpression(state, expression: string, cap: number) {
+  const tree = validateSetExpression(state, expression, cap);
+
+  if (state.errors.length > 0) return;
+
+  const hostnames = [];
+
+  for (const x of generateSetHostnames(tree, state.order)) {
+    if (state.hostnameCache[x]) continue;
+
+    if (hostnames.length === cap) {
+      addOverCapError(state, expression, cap);
+      return;
+    }
+
+    state.hostnameCache[x] = 1;
+    hostnames.push(x);
+  }
+
+  state.expansion = hostnames;
+  state.sections = state.outputs.sections ? findSections(compressHostnames(hostnames)) : [];
+  state.expansionHash = state.hostnameCache;
+}
+
+/**
+ * Lazily produces the hostnames of a tree built by parseSetTokens. Each hostname is produced once, in the order
+ * it is first reached from the left. An intersection is produced from the operand expected to be smaller.
+ * @param {Object} tree
+ * @param {String} [order] The order of the values of each range
+ * @returns {Generator}
+ */
+function* generateSetHostnames(tree: Object, order: string = constants.ORDER): Generator<string, void, void> {
+  if (tree.operator == null) {
+    yield* generateExpressionHostnames(tree.expression, order);
+    return;
+  }
+
+  const { operator, left, right } = tree;
+
+  if (operator === "filter") {
+    for (const x of generateSetHostnames(left, order)) if (tree.pattern.test(x) === tree.isKept) yield x;
+    return;
+  }
+
+  if (operator === "&") {
+    const [smaller, larger] = estimateSetSize(right) < estimateSetSize(left) ? [right, left] : [left, right];
+
+    for (const x of generateSetHostnames(smaller, order)) if (isInSet(larger, x)) yield x;
+    return;
+  }
+
+  for (const x of generateSetHostnames(left, order)) if (operator === "," || !isInSet(right, x)) yield x;
+
+  if (operator === "!") return;
+
+  for (const x of generateSetHostnames(right, order)) if (!isInSet(left, x)) yield x;
+}
+
+/**
+ * Indicates if a hostname is in the set described by a tree built by parseSetTokens, without generating the set.
+ * @param {Object} tree
+ * @param {String} hostname
+ * @returns {Boolean}
+ */
+function isInSet(tree: Object, hostname: string) {
+  if (tree.operator == null) return expressionProduces(tree.expression, hostname);
+
+  const inLeft = isInSet(tree.left, hostname);
+
+  if (tree.operator === "filter") return inLeft && tree.pattern.test(hostname) === tree.isKept;
+
+  const inRight = () => isInSet(tree.right, hostname);
+
+  if (tree.operator === ",") return inLeft || inRight();
+  if (tree.operator === "!") return inLeft && !inRight();
+  if (tree.operator === "&") return inLeft && inRight();
+
+  return inLeft !== inRight();
+}
+
+/**
+ * Indicates if a single expression produces the hostname
+ * @param {String} expression
+ * @param {String} hostname
+ * @returns {Boolean}
+ */
+function expressionProduces(expression: string, hostname: string) {
+  const components = tokenize(expression);
+
+  // Like the expansion, an expression made of a single component is taken as written.
+  return components.length === 1 ? hostname === expression : matchesComponents(components, hostname);
+}
+
+/**
+ * Indicates if an expression split into components by tokenize produces the hostname.
+ * @example
+ * // returns true
+ * matchesComponents(['oss', '[01-08]', '.lfs'], 'oss05.lfs')
+ * @param {Array} components
+ * @param {String} hostname
+ * @returns {Boolean}
+ */
+function matchesComponents(components: string[], hostname: string) {
+  if (components.length === 0) return hostname === "";
+
+  const [component, ...rest] = components;
+
+  if (isAlternation(component))
+    return getAlternatives(component).some(
+      x => hostname.startsWith(x) && matchesComponents(rest, hostname.slice(x.length))
+    );
+
+  if (!range(component))
+    return hostname.startsWith(component) && matchesComponents(rest, hostname.slice(component.length));
+
+  const items = getSortedItems(component);
+
+  // The range may be followed by more digits or letters, so every run of them is tried.
+  for (let length = 1; length <= hostname.length && /^[0-9a-zA-Z]+$/.test(hostname.slice(0, length)); length += 1) {
+    const value = hostname.slice(0, length);
+
+    if (items.some(x => itemProduces(x, value)) && matchesComponents(rest, hostname.slice(length))) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Estimates the largest number of hostnames a tree built by parseSetTokens may produce.
+ * @param {Object} tree
+ * @returns {Number}
+ */
+function estimateSetSize(tree: Object) {
+  if (tree.operator == null) return getTotalEntries([tree.expression]);
+  if (tree.operator === "!" || tree.operator === "filter") return estimateSetSize(tree.left);
+  if (tree.operator === "&") return Math.min(estimateSetSize(tree.left), estimateSetSize(tree.right));
+
+  return estimateSetSize(tree.left) + estimateSetSize(tree.right);
+}
+
+/**
+ * Lazily produces the hostnames of a single expression.
+ * @param {String} expression
+ * @param {String} [order] The order of the values of each range
+ * @returns {Generator}
+ */
+function generateExpressionHostnames(
+  expression: string,
+  order: string = constants.ORDER
+): Generator<string, void, void> {
+  const ranges = [];
+  const hostname = tokenize(expression).reduce(generateHostNameFormat.bind(null, ranges));
+
+  return generateHostnames(hostname, ranges.map(x => () => generateOrderedRangeValues(x, order)));
+}
+
+/**
+ * Finds the sections of a list of expressions.
+ * @example
+ * // returns ['oss1..3', 'mds1']
+ * findSections('oss[1-3],mds1')
+ * @param {String} expression
+ * @returns {Array}
+ */
+function findSections(expression: string) {
+  return splitExpressions(expression, isInsideBraces)
+    .filter(isNotEmpty)
+    .map(x => {
+      const ranges = [];
+      const hostname = tokenize(x).reduce(generateHostNameFormat.bind(null, ranges));
+
+      return formatHostnameGroups(
+        ranges.map(x => findSectionGroups(x, Array.from(generateUniqueRangeValues(x)))),
+        hostname
+      );
+    })
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Verifies that the expression is valid. An error is added for every brace without a partner and for a
+ * trailing comma.
+ * @param {Object} state
+ * @param {String} expression
+ * @param {Array} subExpressions The located expressions
+ * @returns {Boolean}
+ */
+function isExpressionValid(state, expression, subExpressions) {
+  // The main thing we need to check for is that for every opening brace there
+  // is a closing brace of the same kind.
+  const openingIndicies = [];
+  const invalidIndicies = [];
+  const partners = {
+    [constants.CLOSING_BRACE]: constants.OPEN_BRACE,
+    [constants.CLOSING_CURLY_BRACE]: constants.OPEN_CURLY_BRACE
+  };
+
+  expression.split("").forEach((char, index) => {
+    const lastOpening = openingIndicies[openingIndicies.length - 1];
+
+    if (isOpeningBrace(char)) openingIndicies.push(index);
+    else if (isClosingBrace(char) && lastOpening != null && expression.charAt(lastOpening) === partners[char])
+      openingIndicies.pop();
+    else if (isClosingBrace(char)) invalidIndicies.push(index);
+  });
+
+  if (expression.charAt(expression.length - 1) === ",") invalidIndicies.push(expression.length - 1);
+
+  invalidIndicies
+    .concat(openingIndicies)
+    .sort((a, b) => a - b)
+    .forEach(index =>
+      addErrorObject(state, "EXPRESSION_INVALID", {
+        start: index,
+        end: index + 1,
+        expression: findSubExpression(subExpressions, index).expression
+      })
+    );
+
+  return invalidIndicies.length === 0 && openingIndicies.length === 0;
+}
+
+/**
+ * Verifies that every located expression is not empty and that every range and alternation inside it is in the
+ * proper format. An error is added for every problem found so they can all be reported at once.
+ * @param {Object} state
+ * @param {Array} subExpressions The located expressions
+ * @returns {Boolean}
+ */
+function areRangesValid(state, subExpressions) {
+  const errorCount = state.errors.length;
+
+  subExpressions.forEach(x => {
+    if (x.expression === "") addErrorObject(state, "EXPRESSION_EMPTY", { start: x.start, end: x.end, expression: "" });
+
+    findRanges(x.expression)
+      .concat(findRanges(x.expression, alternationRegex))
+      .forEach(m => {
+        const code = isAlternation(m.range)
+          ? findAlternationErrorCode(m.range.slice(1, -1))
+          : findRangeErrorCode(m.range.slice(1, -1));
+
+        if (code)
+          addErrorObject(state, code, {
+            start: x.offsets[m.index],
+            end: x.offsets[m.index + m.range.length - 1] + 1,
+            expression: x.expression,
+            range: m.range.slice(1, -1)
+          });
+      });
+  });
+
+  return state.errors.length === errorCount;
+}
+
+/**
+ * Finds the code of the error in the contents of a range, if there is one.
+ * @example
+ * // returns 'INCONSISTENT_DIGITS'
+ * findRangeErrorCode('1,01-009')
+ * @param {String} contents The contents of the range without braces
+ * @returns {String|undefined}
+ */
+function findRangeErrorCode(contents: string) {
+  const items = contents.split(",");
+  const hasInconsistentDigits = item => {
+    const { range, radix } = splitItem(item);
+
+    if (radix === 10 && isAlphabetic(range[0])) return false;
+
+    const ends = [range[0], range[range.length - 1]];
+    const [first, last] = compareRangeValues(ends[0], ends[1], radix) <= 0 ? ends : ends.reverse();
+
+    return compareRangeValues(first, last, radix) !== 0 && !hasConsistentDigits(first, last);
+  };
+
+  if (!items.every(isValidRange)) return "RANGE_NOT_PROPER_FORMAT";
+  if (items.some(hasInconsistentDigits)) return "INCONSISTENT_DIGITS";
+}
+
+/**
+ * Finds the code of the error in the contents of an alternation, if there is one. Alternatives may be empty but
+ * may not contain braces, parentheses or set operators.
+ * @example
+ * // returns 'RANGE_NOT_PROPER_FORMAT'
+ * findAlternationErrorCode('ib0,[1-2]')
+ * @param {String} contents The contents of the alternation without braces
+ * @returns {String|undefined}
+ */
+function findAlternationErrorCode(contents: string) {
+  if (!contents.split(",").every(x => validAlternativeRegex.test(x))) return "RANGE_NOT_PROPER_FORMAT";
+}
+
+/**
+ * Indicates if the hostlist is greater than cap.
+ * @param {Object} state
+ * @param {Boolean} isValid
+ * @param {Array} allExpressions Array of all expressions
+ * @param {String} expression The original expression
+ * @param {Number} cap The maximum number of entries
+ * @returns {Boolean}
+ */
+function isNotAboveCap(state, isValid, allExpressions, expression, cap: number) {
+  let notAboveCap = false;
+  let totalEntries = 0;
+
+  if (isValid) {
+    totalEntries = getTotalEntries(allExpressions);
+    notAboveCap = totalEntries <= cap;
+  }
+
+  const passesCheck = fp.and([isTrue(isValid), isFalse(notAboveCap), isFalse(isNaN(totalEntries))]);
+
+  if (passesCheck()) addOverCapError(state, expression, cap);
+
+  return notAboveCap;
+}
+
+/**
+ * Adds the error for an expression producing more entries than the cap.
+ * @param {Object} state
+ * @param {String} expression The original expression
+ * @param {Number} cap The maximum number of entries
+ */
+function addOverCapError(state, expression: string, cap: number) {
+  addErrorObject(state, "EXPRESSION_OVER_CAP", {
+    message: replaceTokenWithText(constants.EXPRESSION_OVER_CAP, cap.toString()),
+    start: 0,
+    end: expression.length,
+    expression
+  });
+}
+
+/**
+ * Calculates the number of entries that will be produced by the expression.
+ * @param {Array} allExpressions Array of expressions
+ * @return {Number}
+ */
+function getTotalEntries(allExpressions) {
+  return allExpressions.reduce((prev, currentExpression) => {
+    const ranges = [];
+
+    findRanges(currentExpression).forEach(m => ranges.push(m.range.slice(1, -1)));
+    findRanges(currentExpression, alternationRegex).forEach(m => ranges.push(m.range));
+
+    return (
+      prev +
+      ranges.reduce((prev, currentRange) => {
+        if (isAlternation(currentRange)) return prev * getAlternatives(currentRange).length;
+
+        return (
+          prev *
+          currentRange
+            .split(",")
+            .map(parseItemIntoTotalLength)
+            .reduce(sum(fp.identity), 0)
+        );
+      }, 1)
+    );
+  }, 0);
+}
+
+/**
+ * Finds the hostnames of an expression as blocks that don't overlap, adding an error to the state for every
+ * problem found.
+ * @param {Object} state
+ * @param {String} expression
+ * @returns {Array} No blocks if the expression has errors
+ */
+function findHostnameBlocks(state, expression: string): Block[] {
+  if (hasSetOperators(expression)) {
+    const tree = validateSetExpression(state, expression, Infinity);
+
+    if (state.errors.length > 0) return [];
+
+    // Filters can't be applied to blocks, so the hostnames of a tree using them are generated, each as a block.
+    return hasFilter(tree)
+      ? Array.from(generateSetHostnames(tree), x => createBlock(x.split("")))
+      : findSetBlocks(tree);
+  }
+
+  const subExpressions = validateExpression(state, expression, Infinity);
+
+  if (state.errors.length > 0) return [];
+
+  return subExpressions.map(x => findExpressionBlocks(x.expression)).reduce(unionBlocks, []);
+}
+
+/**
+ * Indicates if a tree built by parseSetTokens uses a filter
+ * @param {Object} tree
+ * @returns {Boolean}
+ */
+function hasFilter(tree: Object): boolean {
+  if (tree.operator == null) return false;
+
+  return tree.operator === "filter" || hasFilter(tree.left) || hasFilter(tree.right);
+}
+
+/**
+ * Finds the hostnames of a tree built by parseSetTokens, that uses no filters, as blocks that don't overlap.
+ * @param {Object} tree
+ * @returns {Array}
+ */
+function findSetBlocks(tree: Object): Block[] {
+  if (tree.operator == null) return unionBlocks([], findExpressionBlocks(tree.expression));
+
+  const left = findSetBlocks(tree.left);
+  const right = findSetBlocks(tree.right);
+
+  if (tree.operator === ",") return unionBlocks(left, right);
+  if (tree.operator === "!") return subtractBlocks(left, right);
+  if (tree.operator === "&")
+    return left.reduce((prev, x) => prev.concat(right.map(y => intersectBlocks(x, y)).filter(isBlockFilled)), []);
+
+  return subtractBlocks(left, right).concat(subtractBlocks(right, left));
+}
+
+/**
+ * Describes the hostnames of a single expression as blocks. A block holds the characters that may appear at each
+ * position of a hostname, and stands for every hostname made by picking one character for each position whose
+ * values meet the strides of the block. The blocks may overlap.
+ * @example
+ * // returns [{ characters: ['o', 's', 's', '123456789'], strides: [] },
+ * //   { characters: ['o', 's', 's', '1', '0'], strides: [] }]
+ * findExpressionBlocks('oss[1-10]')
+ * @param {String} expression
+ * @returns {Array}
+ */
+function findExpressionBlocks(expression: string): Block[] {
+  const components = tokenize(expression);
+
+  // Like the expansion, an expression made of a single component is taken as written.
+  if (components.length === 1) return [createBlock(expression.split(""))];
+
+  return components.reduce(
+    (blocks, component) => {
+      const componentBlocks = findComponentBlocks(component);
+
+      return blocks.reduce((prev, x) => prev.concat(componentBlocks.map(y => joinBlocks(x, y))), []);
+    },
+    [createBlock([])]
+  );
+}
 
-  if (passesCheck()) addErrorObject(constants.EXPRESSION_OVER_CAP);
+/**
+ * Describes the values of a component of an expression as blocks
+ * @param {String} component A range, an alternation or text
+ * @returns {Array}
+ */
+function findComponentBlocks(component: string): Block[] {
+  if (isAlternation(component)) return getAlternatives(component).map(x => createBlock(x.split("")));
+  if (!range(component)) return [createBlock(component.split(""))];
 
-  return notAboveCap;
+  return getSortedItems(component)
+    .map(findItemBlocks)
+    .reduce(flattenArrayOfValues, []);
 }
 
 /**
- * Calculates the number of entries that will be produced by the expression.
- * @param {Array} allExpressions Array of expressions
- * @return {Number}
+ * Describes the values of an item as blocks. The values are split into runs written with the same number of
+ * characters, and each run into blocks by findIntervalBlocks. The blocks of a strided item carry the stride, so
+ * they only stand for the values it produces. Single values become a block each.
+ * @example
+ * // returns [{ characters: ['123456789'], strides: [] }, { characters: ['123456789', '0123456789'], strides: [] },
+ * //   { characters: ['1', '0', '0'], strides: [] }]
+ * findItemBlocks('1-100')
+ * @param {String} item
+ * @returns {Array}
  */
-function getTotalEntries(allExpressions) {
-  const ranges = [];
-  let m;
+function findItemBlocks(item: string): Block[] {
+  const { range, step, radix } = splitItem(item);
+
+  if (range.length !== 2 || !isValidRange(item) || !hasConsistentDigits(...range))
+    return Array.from(generateItemValues(item)).map(x => createBlock(x.split("")));
+
+  const [first, last] = range;
+  const isLetters = radix === 10 && isAlphabetic(first);
+  const isUpperCase = isLetters ? getValueKind(first) === 2 : hasUpperCaseDigits(range);
+  const digits = isLetters ? "abcdefghijklmnopqrstuvwxyz" : "0123456789abcdef".slice(0, radix);
+  const casedDigits = isUpperCase ? digits.toUpperCase() : digits;
+  const format = createValueFormat(first, range, radix);
+  const firstOrdinal = getValueOrdinal(first, radix);
+  const end = getValueOrdinal(last, radix);
+  const blocks = [];
+
+  for (let start = firstOrdinal; start <= end; ) {
+    const length = format(start).length;
+    const firstOfLength = isLetters ? getValueOrdinal("a".repeat(length)) : 0;
+    const lastOfLength = isLetters ? getValueOrdinal("z".repeat(length)) : Math.pow(radix, length) - 1;
+    const runEnd = Math.min(end, lastOfLength);
+    // Letters are read as digits from a, so a run of them starts at zero like a run of numbers.
+    const strides =
+      step > 1
+        ? [
+            {
+              start: 0,
+              end: length,
+              digits: casedDigits,
+              step,
+              remainder: modulo(firstOrdinal - firstOfLength, step),
+              isExcluded: false
+            }
+          ]
+        : [];
+
+    findIntervalBlocks(format(start), format(runEnd), casedDigits).forEach(x => blocks.push(createBlock(x, strides)));
+    start = runEnd + 1;
+  }
 
-  return allExpressions.reduce((prev, currentExpression) => {
-    while ((m = expressionRegex.exec(currentExpression)) != null)
-      if (m != null) {
-        if (m.index === expressionRegex.lastIndex) expressionRegex.lastIndex += 1;
-        ranges.push(m[0].slice(1, -1));
-      }
+  return blocks.filter(isBlockFilled);
+}
 
-    return (
-      prev +
-      ranges.reduce((prev, currentRange) => {
-        return (
-          prev *
-          currentRange
-            .split(",")
-            .map(parseItemIntoTotalLength)
-            .reduce(sum(fp.identity), 0)
-        );
-      }, 1)
-    );
-  }, 0);
+/**
+ * Describes the strings between two strings of the same length, inclusive, as blocks. Every character of the
+ * strings is one of the digits, which are listed in order.
+ * @example
+ * // returns [['1', '56789'], ['2', '0123']]
+ * findIntervalBlocks('15', '23', '0123456789')
+ * @param {String} low
+ * @param {String} high
+ * @param {String} digits
+ * @returns {Array}
+ */
+function findIntervalBlocks(low: string, high: string, digits: string): string[][] {
+  if (low === "") return [[]];
+
+  const lowDigit = digits.indexOf(low[0]);
+  const highDigit = digits.indexOf(high[0]);
+  const lowRest = low.slice(1);
+  const highRest = high.slice(1);
+  const prepend = (digit: string) => (blocks: string[][]) => blocks.map(x => [digit, ...x]);
+
+  if (lowDigit === highDigit) return prepend(low[0])(findIntervalBlocks(lowRest, highRest, digits));
+
+  const smallest = digits[0].repeat(lowRest.length);
+  const largest = digits[digits.length - 1].repeat(highRest.length);
+  const middleStart = lowRest === smallest ? lowDigit : lowDigit + 1;
+  const middleEnd = highRest === largest ? highDigit : highDigit - 1;
+  const middle =
+    middleStart <= middleEnd
+      ? [[digits.slice(middleStart, middleEnd + 1), ...lowRest.split("").map(() => digits)]]
+      : [];
+  const lowBlocks = middleStart > lowDigit ? prepend(low[0])(findIntervalBlocks(lowRest, largest, digits)) : [];
+  const highBlocks = middleEnd < highDigit ? prepend(high[0])(findIntervalBlocks(smallest, highRest, digits)) : [];
+
+  return [...lowBlocks, ...middle, ...highBlocks];
 }
 
 /**
@@ -294,8 +2522,9 @@ function combineSimilarExpressions(prevExpressions, curExpression) {
   prevExpressions = typeof prevExpressions === "string" ? [prevExpressions] : prevExpressions;
 
   const updatedExpressions = prevExpressions.map(compareExpressions(curExpression));
+  const previous = new Set(prevExpressions);
 
-  if (fp.difference(updatedExpressions)(prevExpressions).length === 0) updatedExpressions.push(curExpression);
+  if (updatedExpressions.every(x => previous.has(x))) updatedExpressions.push(curExpression);
 
   return updatedExpressions;
 }
@@ -313,13 +2542,14 @@ function combineSimilarExpressions(prevExpressions, curExpression) {
  * @returns {Function}
  */
 function compareExpressions(curExpression) {
+  const simplifiedCurrentExpression = curExpression.replace(expressionRegex, constants.TOKEN_TO_REPLACE);
+
   /**
    * @param {String} expression The current expression
    * @returns {String} The updated expression if it can be combined; otherwise, it will return the original.
    */
   return function innerCompareExpressions(expression: string) {
     const simplifiedPrevExpression = expression.replace(expressionRegex, constants.TOKEN_TO_REPLACE);
-    const simplifiedCurrentExpression = curExpression.replace(expressionRegex, constants.TOKEN_TO_REPLACE);
 
     // Does the simplified expression match the current expression?
     if (simplifiedCurrentExpression === simplifiedPrevExpression)
@@ -336,8 +2566,8 @@ function compareExpressions(curExpression) {
  * @returns {*}
  */
 function examineAndCombineRanges(prevExpression, curExpression, simplifiedCurrentExpression) {
-  const prevRanges = getExpandedRangesFromRegex(prevExpression);
-  const curRanges = getExpandedRangesFromRegex(curExpression);
+  const prevRanges = findRanges(prevExpression).map(m => m.range);
+  const curRanges = findRanges(curExpression).map(m => m.range);
   const isLessThan2 = math.lt.bind(null, 2);
 
   // In order to combine ranges, both the previous and current ranges must contain at MOST
@@ -347,16 +2577,56 @@ function examineAndCombineRanges(prevExpression, curExpression, simplifiedCurren
   // but the following can NOT be combined:
   // host[1,2].iml[1-3] and host[5-7].iml[2-3]
 
-  if (isLessThan2(fp.difference(prevRanges.expanded)(curRanges.expanded).length))
+  if (isLessThan2(countUnmatchedRanges(prevRanges, curRanges)))
     return updateExpressionBasedOnPrevAndCurrentRanges(
       prevExpression,
       simplifiedCurrentExpression,
-      prevRanges.ranges,
-      curRanges.ranges
+      prevRanges,
+      curRanges
     );
   else return prevExpression;
 }
 
+/**
+ * Counts the distinct previous ranges whose expansion does not match the expansion of any current range.
+ * @param {Array} prevRanges
+ * @param {Array} curRanges
+ * @returns {Number}
+ */
+function countUnmatchedRanges(prevRanges: string[], curRanges: string[]) {
+  return prevRanges
+    .filter(x => !curRanges.some(y => haveSameExpansion(x, y)))
+    .filter((x, index, xs) => !xs.slice(0, index).some(y => haveSameExpansion(x, y))).length;
+}
+
+/**
+ * Indicates if two ranges expand to the same values in the same order. The values are compared one at a time
+ * so neither range is held in memory.
+ * @example
+ * // returns true
+ * haveSameExpansion('[1-3]', '[3,1-2]')
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+function haveSameExpansion(a: string, b: string) {
+  if (a === b) return true;
+
+  const aValues = generateRangeValues(a);
+  const bValues = generateRangeValues(b);
+  let x = aValues.next();
+  let y = bValues.next();
+
+  while (!x.done && !y.done) {
+    if (x.value !== y.value) return false;
+
+    x = aValues.next();
+    y = bValues.next();
+  }
+
+  return Boolean(x.done && y.done);
+}
+
 /**
  * Updates the expression based on the previous and current ranges.
  * @param {String} prevExpression
@@ -401,60 +2671,127 @@ function expandExpressionUsingPrevAndCurrentRanges(prevRange: string, curRange:
 }
 
 /**
- * Returns the ranges and expanded ranges for the given expression
+ * Finds every range in the expression along with its index. A new regex is used on every call so that no
+ * lastIndex is shared between calls.
+ * @example
+ * // returns [{ range: '[1-2]', index: 4 }, { range: '[3]', index: 13 }]
+ * findRanges('host[1-2].iml[3]')
  * @param {String} expression
- * @returns {{ranges: Array, expandedRanges: Array}}
+ * @param {RegExp} [regex] The ranges to find. Defaults to numeric ranges.
+ * @returns {Array}
  */
-function getExpandedRangesFromRegex(expression: string) {
+function findRanges(expression: string, regex: RegExp = expressionRegex) {
+  const re = new RegExp(regex.source, "g");
+  const ranges = [];
   let m;
-  const ranges: string[] = [];
-  const expanded: string[] = [];
 
-  while ((m = expressionRegex.exec(expression)) != null)
+  while ((m = re.exec(expression)) != null)
     if (m != null) {
-      if (m.index === expressionRegex.lastIndex) expressionRegex.lastIndex += 1;
+      if (m.index === re.lastIndex) re.lastIndex += 1;
 
-      ranges.push(m[0]);
-      expanded.push(expandRangesAsString(m[0]));
+      ranges.push({ range: m[0], index: m.index });
     }
 
-  return {
-    ranges,
-    expanded
-  };
+  return ranges;
 }
 
 /**
  * Takes a component and expands out the comma delimited string representation. For example:
  * @example
  * //returns ['hostname6.iml.com','hostname7.iml.com']
- * expandComponents(['hostname', '[6,7]', '.iml.com'])
+ * expandComponents(state, ['hostname', '[6,7]', '.iml.com'])
+ * @param {Object} state
  * @param {Array} components
+ * @param {Boolean} isWalking Walk the hostnames, counting them in the hostname cache
  * @returns {Object}
  */
-function expandComponents(components: string[]) {
+function expandComponents(state, components: string[], isWalking: boolean) {
   const ranges = [];
   const hostname = components.reduce(generateHostNameFormat.bind(null, ranges));
 
-  // Expand the ranges and save them in expandedRanges
-  let expandedRanges = ranges.map(expandRanges);
-  // Sort the expanded ranges
-  const uniq = fp.uniqBy(fp.identity);
-  expandedRanges = expandedRanges.map(x => uniq(x));
-  const rangeGroups = expandedRanges.map(findRangeInList);
+  // Expand the ranges into unique values, in the order of the state, and save them in expandedRanges
+  const expandedRanges = ranges.map(x => Array.from(generateOrderedRangeValues(x, state.order)));
+  const hostnames = () => generateHostnames(hostname, expandedRanges.map(x => () => x));
 
   return {
     expression: components.join(""),
-    expansion: formatString(hostname, expandedRanges),
-    sections: formatHostnameGroups(rangeGroups, hostname)
+    expansion: isWalking ? formatString(state, hostnames()) : [],
+    sections: state.outputs.sections
+      ? formatHostnameGroups(ranges.map((x, index) => findSectionGroups(x, expandedRanges[index])), hostname)
+      : [],
+    hostnames
   };
 }
 
 /**
- * Returns an array of range group sections based on the hostname format
+ * Indicates if the hostnames of the expressions must be walked. They are needed to build the expansion, the
+ * expansionHash and the folded expression. Otherwise they are only walked to find duplicates, unless duplicates are
+ * allowed. Comparing the blocks of every pair of expressions tells if any hostname repeats without walking them,
+ * so the walk is only taken when there are repeats or when the expressions produce fewer hostnames than there are
+ * pairs to compare.
+ * @param {Object} state
+ * @param {Array} expressions
+ * @returns {Boolean}
+ */
+function isWalkNeeded(state, expressions: string[]) {
+  if (state.outputs.expansion || state.outputs.expansionHash || state.outputs.folded) return true;
+  if (state.duplicatePolicy === "allow") return false;
+  if (getTotalEntries(expressions) <= expressions.length * expressions.length) return true;
+
+  return hasRepeatedHostnames(expressions);
+}
+
+/**
+ * Indicates if more than one expression produces the same hostname
+ * @example
+ * // returns true
+ * hasRepeatedHostnames(['oss[1-4]', 'oss[4-8]'])
+ * @param {Array} expressions
+ * @returns {Boolean}
+ */
+function hasRepeatedHostnames(expressions: string[]): boolean {
+  const blocks = expressions.map(x => unionBlocks([], findExpressionBlocks(x)));
+  const total = blocks.reduce((prev, x) => prev + sumBlockSizes(x), 0);
+
+  return sumBlockSizes(blocks.reduce(unionBlocks, [])) < total;
+}
+
+/**
+ * Finds the groups a range is shown as in sections. An alternation is shown folded as a single group. A range
+ * made only of hexadecimal items is grouped in hexadecimal. Strided groups are followed by their stride.
+ * @example
+ * // returns [['{ib0,eth0}']]
+ * findSectionGroups('{ib0,eth0,ib0}', ['ib0', 'eth0'])
+ * @example
+ * // returns [['1..7/2'], ['8']]
+ * findSectionGroups('[1-7/2,8]', ['1', '3', '5', '7', '8'])
+ * @example
+ * // returns [['0009..000b']]
+ * findSectionGroups('[0x0009-0x000b]', ['0009', '000a', '000b'])
+ * @param {String} rangeComponent
+ * @param {Array} values The unique values of the range
+ * @returns {Array}
+ */
+function findSectionGroups(rangeComponent: string, values: string[]) {
+  if (isAlternation(rangeComponent)) return [[`{${values.join(",")}}`]];
+
+  const isHex = getSortedItems(rangeComponent).every(x => splitItem(x).radix === 16);
+  const radix = isHex ? 16 : 10;
+
+  return findRangeInList(values, true, radix).map(x => {
+    if (x.length === 1) return [x[0]];
+
+    const stride = findDistance(x[0], x[1], radix);
+
+    return [`${x[0]}..${x[x.length - 1]}${stride > 1 ? `/${stride}` : ""}`];
+  });
+}
+
+/**
+ * Returns an array of range group sections based on the hostname format.
  * @example
  * // returns 'hostname6..7-9..11.iml.com
- * formatHostnameGroups([[6,7],[9,10,11]], 'hostname%s-%s.iml.com')
+ * formatHostnameGroups([['6..7'],['9..11']], 'hostname%s-%s.iml.com')
  * @param {Array} rangeGroups
  * @param {String} hostnameFormat
  */
@@ -480,42 +2817,58 @@ function formatHostnameGroups(rangeGroups, hostnameFormat) {
 
 /**
  * Receives a list of numbers in string format (due to prefixes) and returns the discovered
- * ranges.
+ * ranges. When strides are allowed, three or more numbers an equal distance apart also form a range. Numbers
+ * padded to different widths, such as 03 and 4, are never in the same range.
  * @example
  * // returns [[7], [9,10,11]]
  * findRangeInList([7,9,10,11])
+ * @example
+ * // returns [[1,3,5], [6,7]]
+ * findRangeInList([1,3,5,6,7], true)
  * @param {Array} list A sorted list of numbers in string format (due to prefixes)
+ * @param {Boolean} [isStrided] Allow ranges with a stride greater than 1
+ * @param {Number} [radix] The radix of the numbers
  * @returns {Array}
  */
-function findRangeInList(list) {
-  if (!Array.isArray(list) || list.length === 0) return [];
+function findRangeInList(list, isStrided: boolean = false, radix: number = 10) {
+  if (!Array.isArray(list)) return [];
 
-  // Put the first item in the range
-  let curLocation = 0;
-  let ranges = [];
+  const ranges = [];
+  let range = [];
+  let step = 1;
 
-  const range = [list[0]];
-  const length = list.length;
+  list.forEach((value, index) => {
+    const last = range[range.length - 1];
 
-  while (curLocation < length - 1)
-    if (+list[curLocation + 1] === +range[range.length - 1] + 1) {
-      range.push(list[curLocation + 1]);
-      curLocation += 1;
-    } else {
-      // The next item is not a range. Recursively call findRangeInList with an array
-      // starting at the next location
-      const newList = list.slice(curLocation + 1);
-      const subranges = findRangeInList(newList);
-      ranges = ranges.concat(subranges);
-
-      // Set current location to end of array
-      curLocation = list.length - 1;
+    if (range.length > 0 && findDistance(last, value, radix) === step && isWrittenAlike(last, value)) {
+      range.push(value);
+      return;
     }
 
-  ranges.unshift(range);
+    // The value starts a new range, strided when it and the next two values are an equal distance apart
+    const stride = index + 2 < list.length ? findDistance(value, list[index + 1], radix) : 1;
+
+    range = [value];
+    ranges.push(range);
+    step = isStrided && stride > 1 && findDistance(list[index + 1], list[index + 2], radix) === stride ? stride : 1;
+  });
+
   return ranges;
 }
 
+/**
+ * Indicates if two numbers can be written by the same item: they have the same width, or neither is padded.
+ * @example
+ * // returns false
+ * isWrittenAlike('03', '4')
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+function isWrittenAlike(a: string, b: string) {
+  return a.length === b.length || (getPrefix(a) === "" && getPrefix(b) === "");
+}
+
 /**
  * Generates the host name format
  * @param {Array} ranges
@@ -555,75 +2908,73 @@ function replaceTokenWithText(source: string, token: string) {
 }
 
 /**
- * Takes a hostname and an array of ranges and then generates a list of valid host names based on the
- * array of ranges passed in.
- * @param {String} hostname (hostname%s.iml.com)
- * @param {Array} ranges An array of arrays representing the ranges.
- * @param {Number} [id] The current id
+ * Takes the generated host names and counts each of them in the hostname cache. The list of host names
+ * is only built when the expansion is one of the outputs.
+ * @param {Object} state
+ * @param {Iterable} hostnames
  * @returns {Array}
  */
-function formatString(hostname, ranges, id) {
-  const curArrayId = typeof id === "number" ? id : 0;
+function formatString(state, hostnames: Iterable<string>) {
   const serverList = [];
 
-  if (ranges.length > 0) formatCurrentRange(serverList, hostname, ranges, curArrayId);
-  else addHostnameToServerListAndCache(serverList, hostname);
+  for (const x of hostnames) addHostnameToServerListAndCache(state, serverList, x);
 
   return serverList;
 }
 
 /**
- * Formats the current range
- * @param {Array} serverList
+ * Lazily generates the host names produced by replacing each %s in the hostname with the values of the
+ * corresponding range. Values of earlier ranges change the slowest.
+ * @example
+ * // yields 'hostname6-9', 'hostname6-10', 'hostname7-9', 'hostname7-10'
+ * generateHostnames('hostname%s-%s', [() => ['6', '7'], () => ['9', '10']])
  * @param {String} hostname
- * @param {Array} ranges
- * @param {Number} curArrayId
+ * @param {Array} ranges Functions returning the values of each range.
+ * @param {Number} [curArrayId] The current range
+ * @returns {Generator}
  */
-function formatCurrentRange(serverList, hostname, ranges, curArrayId) {
-  const curArray = ranges[curArrayId];
-  curArray.forEach(x => computeString(serverList, hostname, ranges, curArrayId, x));
+function* generateHostnames(
+  hostname: string,
+  ranges: Array<() => Iterable<string>>,
+  curArrayId: number = 0
+): Generator<string, void, void> {
+  if (ranges.length === 0) {
+    yield hostname;
+    return;
+  }
+
+  for (const part of ranges[curArrayId]()) {
+    const updatedHostName = replaceTokenWithText(hostname, part);
+
+    if (moreRangesAvailable(ranges, curArrayId)) yield* generateHostnames(updatedHostName, ranges, curArrayId + 1);
+    else yield updatedHostName;
+  }
 }
 
 /**
- * Builds the host name string given the ranges
+ * Adds the hostname to the server list and counts it in the hostname cache, recording it as a duplicate
+ * the first time it is seen again. Repeats are left out of the server list when duplicates are deduped.
+ * @param {Object} state
  * @param {Array} serverList
  * @param {String} hostname
- * @param {Array} ranges
- * @param {Number} curArrayId
- * @param {String} part
  */
-function computeString(serverList, hostname, ranges, curArrayId, part) {
-  const updatedHostName = replaceTokenWithText(hostname, part);
-
-  if (moreRangesAvailable(ranges, curArrayId)) processMoreRanges(updatedHostName, ranges, curArrayId, serverList);
-  else addHostnameToServerListAndCache(serverList, updatedHostName);
-}
+function addHostnameToServerListAndCache(state, serverList, hostname) {
+  const hostnameCache = state.hostnameCache;
 
-function addHostnameToServerListAndCache(serverList, hostname) {
-  addItemToArray(serverList, hostname);
   hostnameCache[hostname] = hostnameCache[hostname] ? hostnameCache[hostname] + 1 : 1;
 
+  if (state.outputs.expansion && (state.duplicatePolicy !== "dedupe" || hostnameCache[hostname] === 1))
+    addItemToArray(serverList, hostname);
+
   fp.cond([
     fp.flow(
       x => hostnameCache[x],
-      math.gt.bind(null, 1)
+      fp.eq(2)
     ),
-    addDuplicate
+    x => addDuplicate(state, x)
   ])(hostname);
 }
 
-/**
- * Processes more ranges if more ranges exist
- * @param {String} updatedHostName
- * @param {Array} ranges
- * @param {Number} curArrayId
- * @param {Array} serverList
- */
-function processMoreRanges(updatedHostName, ranges, curArrayId, serverList) {
-  const formattedList = formatString(updatedHostName, ranges, curArrayId + 1);
-  [].push.apply(serverList, formattedList);
-}
-
 /**
  * Adds an item to a specified array
  * @param {Array} list
@@ -635,34 +2986,240 @@ function addItemToArray(list, val) {
 
 /**
  * Adds a hostname to the list of duplicate items
+ * @param {Object} state
  * @param {String} hostname
  */
-function addDuplicate(hostname) {
-  duplicates.push(hostname);
+function addDuplicate(state, hostname) {
+  state.duplicates.push(hostname);
+}
+
+/**
+ * Lazily parses a range into its values.
+ * @example
+ * // yields '0', '1', '2', '3', '4', '5', '6', '7'
+ * generateRangeValues('[0-4,7,5-6]')
+ * @param {String} rangeComponent
+ * @returns {Generator}
+ */
+function* generateRangeValues(rangeComponent: string): Generator<string, void, void> {
+  for (const item of getSortedItems(rangeComponent)) yield* generateItemValues(item);
+}
+
+/**
+ * Lazily parses a range into its values, leaving out values already produced by an earlier item of the range.
+ * The values of items writing numbers the same way are merged so they are produced in order even when strided
+ * items interleave, and items writing them differently, such as 01-03 and 1-3, follow one another. The
+ * alternatives of an alternation are produced in the order they are written.
+ * @example
+ * // yields '1', '2', '3', '4'
+ * generateUniqueRangeValues('[1-3,2-4]')
+ * @example
+ * // yields '1', '2', '3', '4', '5', '6'
+ * generateUniqueRangeValues('[1-5/2,2-6/2]')
+ * @example
+ * // yields '01', '02', '03', '1', '2', '3'
+ * generateUniqueRangeValues('[01-03,1-3]')
+ * @param {String} rangeComponent
+ * @returns {Generator}
+ */
+function* generateUniqueRangeValues(rangeComponent: string): Generator<string, void, void> {
+  if (isAlternation(rangeComponent)) {
+    yield* getAlternatives(rangeComponent);
+    return;
+  }
+
+  let producedItems = [];
+
+  for (const items of groupBy(getSortedItems(rangeComponent), findItemFormat)) {
+    const earlierItems = producedItems;
+
+    for (const value of generateMergedItemValues(items))
+      if (!earlierItems.some(x => itemProduces(x, value))) yield value;
+
+    producedItems = producedItems.concat(items);
+  }
+}
+
+/**
+ * Lazily merges the values of items writing numbers the same way, so they are produced in order, each once. An
+ * item is only compared with the others once its lowest value is reached, so items that don't overlap are
+ * produced one after the other.
+ * @example
+ * // yields '1', '2', '3', '4', '5', '6'
+ * generateMergedItemValues(['1-5/2', '2-6/2'])
+ * @param {Array} items Items sharing the same key from findItemFormat
+ * @returns {Generator}
+ */
+function* generateMergedItemValues(items: string[]): Generator<string, void, void> {
+  const { radix } = splitItem(items[0]);
+  const pending = items.map(x => ({ item: x, low: getMinMaxComponents(x)[0].min })).sort((a, b) => a.low - b.low);
+  const advance = (cursor: Object): ?Object => {
+    const result = cursor.generator.next();
+
+    return result.done ? null : { ...cursor, value: result.value, ordinal: getValueOrdinal(result.value, radix) };
+  };
+  let active: Object[] = [];
+  let next = 0;
+  let last = null;
+
+  for (;;) {
+    const lowest = active.reduce((prev, x) => (prev == null || x.ordinal < prev.ordinal ? x : prev), null);
+
+    if (next < pending.length && (lowest == null || pending[next].low <= lowest.ordinal)) {
+      const cursor = advance({ generator: generateItemValues(pending[next].item) });
+
+      if (cursor != null) active.push(cursor);
+      next += 1;
+    } else if (lowest == null) {
+      return;
+    } else {
+      if (lowest.value !== last) yield lowest.value;
+
+      last = lowest.value;
+      active = active.map(x => (x === lowest ? advance(x) : x)).filter(Boolean);
+    }
+  }
+}
+
+/**
+ * Finds how an item writes its values. Items writing numbers the same way, with the same radix, case and padding,
+ * or writing letters of the same case, share the same key.
+ * @example
+ * // returns '10:2:false'
+ * findItemFormat('01-03')
+ * @param {String} item
+ * @returns {String}
+ */
+function findItemFormat(item: string) {
+  const { range, radix } = splitItem(item);
+  const first = range[0];
+
+  if (radix === 10 && isAlphabetic(first)) return `letters:${getValueKind(first)}`;
+
+  const width = getPrefix(first).length > 0 ? first.length : 0;
+
+  return `${radix}:${width}:${String(hasUpperCaseDigits(range))}`;
+}
+
+/**
+ * Lazily parses a range into its unique values in the specified order. See generateUniqueRangeValues and
+ * generateWrittenRangeValues.
+ * @param {String} rangeComponent
+ * @param {String} order sorted, input or natural. Natural order sorts the values like sorted order.
+ * @returns {Generator}
+ */
+function generateOrderedRangeValues(rangeComponent: string, order: string): Generator<string, void, void> {
+  return order === "input" ? generateWrittenRangeValues(rangeComponent) : generateUniqueRangeValues(rangeComponent);
 }
 
 /**
- * Parses a range into an array.
+ * Lazily parses a range into its values in the order they are written, leaving out values already produced by an
+ * earlier item. A descending item counts down from its first endpoint.
  * @example
- * // returns [0, 1, 2, 3, 4, 5, 6, 7]
- * expandRanges('[0-4,7,5-6]')
+ * // yields '5', '1', '3', '2'
+ * generateWrittenRangeValues('[5,1,3-1]')
  * @param {String} rangeComponent
+ * @returns {Generator}
+ */
+function* generateWrittenRangeValues(rangeComponent: string): Generator<string, void, void> {
+  if (isAlternation(rangeComponent)) {
+    yield* getAlternatives(rangeComponent);
+    return;
+  }
+
+  const seen = {};
+
+  for (const item of rangeComponent.slice(1, -1).split(","))
+    for (const value of generateWrittenItemValues(item))
+      if (!seen[value]) {
+        seen[value] = true;
+        yield value;
+      }
+}
+
+/**
+ * Lazily parses an item into its values, from its first endpoint to its last. A stride is counted from the first
+ * endpoint. Values are written as generateRange writes them for the lower endpoint.
+ * @example
+ * // yields '10', '07', '04', '01'
+ * generateWrittenItemValues('10-01/3')
+ * @param {String} item
+ * @returns {Generator}
+ */
+function* generateWrittenItemValues(item: string): Generator<string, void, void> {
+  const { range, step, radix } = splitItem(item);
+
+  if (range.length !== 2 || !isValidRange(item)) {
+    yield* range;
+    return;
+  }
+
+  const isDescending = compareRangeValues(range[0], range[1], radix) > 0;
+  const [low, high] = isDescending ? [range[1], range[0]] : range;
+
+  // Numbers are checked for consistent digits by areRangesValid before they are expanded
+  if (!(radix === 10 && isAlphabetic(low)) && !hasConsistentDigits(low, high)) return;
+
+  const format = createValueFormat(low, range, radix);
+  const end = getValueOrdinal(range[1], radix);
+  const direction = isDescending ? -1 : 1;
+
+  for (let x = getValueOrdinal(range[0], radix); direction * (end - x) >= 0; x += direction * step) yield format(x);
+}
+
+/**
+ * Creates the function writing the values of an item from their position among the values of their kind. Letters
+ * keep their case, hexadecimal digits keep the case of the item and numbers are padded like the lower endpoint.
+ * @example
+ * // returns '0a'
+ * createValueFormat('09', ['09', '0c'], 16)(10)
+ * @param {String} low The lower endpoint of the item
+ * @param {Array} range The endpoints of the item
+ * @param {Number} radix
+ * @returns {Function}
+ */
+function createValueFormat(low: string, range: string[], radix: number): number => string {
+  if (radix === 10 && isAlphabetic(low)) return x => formatLetters(x, getValueKind(low) === 2);
+
+  const pad = prefixString(getPrefix(low), low.length);
+  const isUpperCase = hasUpperCaseDigits(range);
+
+  return x => pad(formatNumeral(x, radix, isUpperCase));
+}
+
+/**
+ * Splits an alternation into its alternatives, leaving out repeats.
+ * @example
+ * // returns ['ib0', 'eth0', '']
+ * getAlternatives('{ib0,eth0,ib0,}')
+ * @param {String} alternation
  * @returns {Array}
  */
-function expandRanges(rangeComponent: string) {
-  // Sort the range string
-  const sortedRangeComponent = sortRangeString(rangeComponent);
+function getAlternatives(alternation: string) {
+  return alternation
+    .slice(1, -1)
+    .split(",")
+    .filter((x, index, alternatives) => alternatives.indexOf(x) === index);
+}
 
+/**
+ * Sorts the range string and splits it into items
+ * @example
+ * // returns ['0-4', '5-6', '7']
+ * getSortedItems('[0-4,7,5-6]')
+ * @param {String} rangeComponent
+ * @returns {Array}
+ */
+function getSortedItems(rangeComponent: string) {
   // Remove the beginning and ending brackets
-  return sortedRangeComponent
+  return sortRangeString(rangeComponent)
     .slice(1, -1)
-    .split(",")
-    .map(parseItem)
-    .reduce(flattenArrayOfValues);
+    .split(",");
 }
 
 /**
- * Takes in a range string and does a basic sort
+ * Takes in a range string and does a basic sort. Numbers come before lowercase letters, which come before
+ * uppercase letters.
  * @example
  * // returns '[0-4,5-6,7]'
  * sortRangeString('[0-4,7,5-6]')
@@ -676,10 +3233,12 @@ function sortRangeString(rangeComponent: string) {
 
   // reduce the sorted array back to a string
   let sortedRangeString = minMaxComponents.reduce((prev, current) => {
+    const stride = current.step > 1 ? "/" + current.step : "";
+    const marker = current.radix === 16 ? "0x" : "";
     const rangeString =
       current.min === current.max
-        ? current.minPrefix + current.min
-        : current.minPrefix + current.min + "-" + current.maxPrefix + current.max;
+        ? marker + current.minText
+        : marker + current.minText + "-" + marker + current.maxText + stride;
     const separator = prev === "" ? "" : ",";
 
     return prev + separator + rangeString;
@@ -689,80 +3248,219 @@ function sortRangeString(rangeComponent: string) {
   // sort on the min/max values
   function compare(a, b) {
     // a < b
-    if (a.max < b.min) return -1;
-    if (a.min > b.max) return 1;
+    if (compareRangeValues(a.maxText, b.minText, a.radix, b.radix) < 0) return -1;
+    if (compareRangeValues(a.minText, b.maxText, a.radix, b.radix) > 0) return 1;
     return 0;
   }
 
-  return sortedRangeString;
+  return sortedRangeString;
+}
+
+/**
+ * Receives a range components and returns a list of min/max objects. Letters are numbered like spreadsheet
+ * columns, so a is 1, z is 26 and aa is 27.
+ * @example
+ * // returns [{min: 1, max: 10, step: 2, ...}, {min: 15, max: 15, step: 1, ...}]
+ * getMinMaxComponents('[1-10/2,15]')
+ * @param {String} rangeComponent
+ * @returns {Array}
+ */
+function getMinMaxComponents(rangeComponent: string) {
+  const componentToParse = rangeComponent[0] === "[" ? rangeComponent.slice(1, -1) : rangeComponent;
+  const components = componentToParse.split(",");
+
+  // return an array of min/max items
+  return components.map(component => {
+    const { range: rangeComponents, step, radix } = splitItem(component);
+    let min, max;
+    if (compareRangeValues(rangeComponents[0], rangeComponents[rangeComponents.length - 1], radix) > 0) {
+      min = rangeComponents[rangeComponents.length - 1];
+      max = rangeComponents[0];
+    } else {
+      min = rangeComponents[0];
+      max = rangeComponents[rangeComponents.length - 1];
+    }
+
+    return {
+      min: getValueOrdinal(min, radix),
+      max: getValueOrdinal(max, radix),
+      step,
+      radix,
+      minText: min,
+      maxText: max
+    };
+  });
+}
+
+/**
+ * Finds the kind of a range value. Values of different kinds are never consecutive.
+ * @param {String} value
+ * @param {Number} [radix] The radix of the item the value belongs to
+ * @returns {Number} 0 for numbers, 1 for lowercase letters and 2 for uppercase letters
+ */
+function getValueKind(value: string, radix: number = 10) {
+  if (radix === 16 || !isAlphabetic(value)) return 0;
+
+  return value === value.toLowerCase() ? 1 : 2;
+}
+
+/**
+ * Finds the position of a range value among the values of its kind.
+ * @example
+ * // returns 28
+ * getValueOrdinal('ab')
+ * @example
+ * // returns 171
+ * getValueOrdinal('ab', 16)
+ * @param {String} value
+ * @param {Number} [radix] The radix of the item the value belongs to
+ * @returns {Number}
+ */
+function getValueOrdinal(value: string, radix: number = 10) {
+  if (radix === 16) return /^[0-9a-fA-F]+$/.test(value) ? parseInt(value, 16) : NaN;
+  if (!isAlphabetic(value)) return +value;
+
+  return value
+    .toLowerCase()
+    .split("")
+    .reduce((prev, x) => prev * 26 + x.charCodeAt(0) - 96, 0);
+}
+
+/**
+ * Formats the position of a range value among letters, preserving case.
+ * @example
+ * // returns 'AB'
+ * formatLetters(28, true)
+ * @param {Number} ordinal
+ * @param {Boolean} isUpperCase
+ * @returns {String}
+ */
+function formatLetters(ordinal: number, isUpperCase: boolean) {
+  let letters = "";
+
+  for (let x = ordinal; x > 0; x = Math.floor((x - 1) / 26))
+    letters = String.fromCharCode(97 + ((x - 1) % 26)) + letters;
+
+  return isUpperCase ? letters.toUpperCase() : letters;
 }
 
 /**
- * Receives a range components and returns a list of min/max objects
- * @example
- * // returns [{min: 1, max: 10}, {min: 15, max: 15}]
- * getMinMaxComponents('[1-10,15]')
- * @param {String} rangeComponent
- * @returns {Array}
+ * Compares two range values, ordering numbers before lowercase letters and lowercase letters before uppercase
+ * letters. Hexadecimal values are numbers.
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} [radixA] The radix of the item a belongs to
+ * @param {Number} [radixB] The radix of the item b belongs to
+ * @returns {Number}
  */
-function getMinMaxComponents(rangeComponent: string) {
-  const componentToParse = rangeComponent[0] === "[" ? rangeComponent.slice(1, -1) : rangeComponent;
-  const components = componentToParse.split(",");
+function compareRangeValues(a: string, b: string, radixA: number = 10, radixB: number = radixA) {
+  return getValueKind(a, radixA) - getValueKind(b, radixB) || getValueOrdinal(a, radixA) - getValueOrdinal(b, radixB);
+}
 
-  // return an array of min/max items
-  return components.map(component => {
-    const rangeComponents = component.split("-");
-    let min, max;
-    if (+rangeComponents[0] > +rangeComponents[rangeComponents.length - 1]) {
-      min = rangeComponents[rangeComponents.length - 1];
-      max = rangeComponents[0];
-    } else {
-      min = rangeComponents[0];
-      max = rangeComponents[rangeComponents.length - 1];
-    }
+/**
+ * Finds how far apart two range values of the same kind are.
+ * @example
+ * // returns 2
+ * findDistance('b', 'd')
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} [radix] The radix of the values
+ * @returns {Number} NaN if the values are of different kinds
+ */
+function findDistance(a: string, b: string, radix: number = 10) {
+  return getValueKind(a, radix) === getValueKind(b, radix)
+    ? getValueOrdinal(b, radix) - getValueOrdinal(a, radix)
+    : NaN;
+}
 
-    return {
-      min: +min,
-      max: +max,
-      minPrefix: getPrefix(min),
-      maxPrefix: getPrefix(max)
-    };
-  });
+/**
+ * Indicates if a range value is made of letters
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function isAlphabetic(value: string) {
+  return /^[a-zA-Z]+$/.test(value);
 }
 
 /**
- * Parses a range string into a comma delimited representation of the range.
+ * Splits an item into its endpoints, its stride and its radix. Items without a stride have a stride of 1. The
+ * endpoints of a hexadecimal item are returned without their 0x marker.
  * @example
- * // returns "[0,1,2,3,4,7,9]"
- * expandRanges('[0-4,7,9]')
- * @param {String} rangeComponent
+ * // returns { range: ['00', '30'], step: 10, radix: 10 }
+ * splitItem('00-30/10')
+ * @example
+ * // returns { range: ['0000', '00ff'], step: 1, radix: 16 }
+ * splitItem('0x0000-0x00ff')
+ * @param {String} item
+ * @returns {Object}
  */
-function expandRangesAsString(rangeComponent) {
-  return "[" + expandRanges(rangeComponent).join(",") + "]";
+function splitItem(item: string) {
+  const [bounds, step] = item.split("/");
+  const radix = hexPrefixRegex.test(bounds) ? 16 : 10;
+  const range = bounds.split("-").map(x => (radix === 16 ? x.replace(hexPrefixRegex, "") : x));
+
+  return { range, step: step == null ? 1 : +step, radix };
 }
 
 /**
- * Parses an item and returns an array representation of the items
+ * Lazily parses an item into its values. A stride is counted from the lower endpoint.
+ * @example
+ * // yields '09', '10', '11'
+ * generateItemValues('09-11')
  * @example
- * // returns ['09', '10', '11']
- * parseItem('09-11')
+ * // yields '00', '10', '20', '30'
+ * generateItemValues('00-30/10')
  * @param {String} item
- * @returns {Array}
+ * @returns {Generator}
  */
-function parseItem(item: string) {
+function* generateItemValues(item: string): Generator<string, void, void> {
   const isSanitized = isValidRange(item);
-  const range = item.split("-");
+  const { range, step, radix } = splitItem(item);
   const isLength2 = fp.flow(
     x => x.length,
     fp.eq(2)
   );
   const isSanitizedWithLengthOf2 = fp.and([isLength2, isTrue(isSanitized)]);
 
-  const rangeValues = isSanitizedWithLengthOf2(range) ? generateRange(range) : range;
+  if (isSanitizedWithLengthOf2(range)) yield* generateRange(range, step, radix);
+  else yield* range;
+}
+
+/**
+ * Indicates if an item produces the specified value, without generating the values of the item.
+ * @example
+ * // returns true
+ * itemProduces('08-12', '09')
+ * @param {String} item
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function itemProduces(item: string, value: string) {
+  const { range, step, radix } = splitItem(item);
+
+  if (range.length !== 2 || !isValidRange(item)) return range.indexOf(value) > -1;
+
+  const [first, last] = range;
+
+  if (radix === 10 && isAlphabetic(first))
+    return (
+      getValueKind(value) === getValueKind(first) &&
+      compareRangeValues(first, value) <= 0 &&
+      compareRangeValues(value, last) <= 0 &&
+      findDistance(first, value) % step === 0
+    );
 
-  if (!isSanitized) addErrorObject(constants.RANGE_NOT_PROPER_FORMAT);
+  // The value is produced only if it is written the way generatePrefixedRanges writes it.
+  const ordinal = getValueOrdinal(value, radix);
+  const format = prefixString(getPrefix(first), first.length);
 
-  return rangeValues;
+  return (
+    hasConsistentDigits(first, last) &&
+    format(formatNumeral(ordinal, radix, hasUpperCaseDigits(range))) === value &&
+    getValueOrdinal(first, radix) <= ordinal &&
+    ordinal <= getValueOrdinal(last, radix) &&
+    (ordinal - getValueOrdinal(first, radix)) % step === 0
+  );
 }
 
 /**
@@ -773,10 +3471,7 @@ function parseItem(item: string) {
  * @param {String} rangeComponent
  * @returns {Number}
  */
-const parseItemIntoTotalLength = fp.cond(
-  [isValidRange, countItemsInRange],
-  [fp.True, () => addErrorObject(constants.RANGE_NOT_PROPER_FORMAT)]
-);
+const parseItemIntoTotalLength = fp.cond([isValidRange, countItemsInRange], [fp.True, fp.always(NaN)]);
 
 /**
  * Counts the items in the range component
@@ -787,58 +3482,112 @@ function countItemsInRange(rangeComponent) {
   const minMaxComponents = getMinMaxComponents(rangeComponent);
 
   return minMaxComponents.reduce((prev, current) => {
-    return prev + +current.max - +current.min + 1;
+    return prev + Math.floor((current.max - current.min) / current.step) + 1;
   }, 0);
 }
 
 /**
- * Generates an array containing all of the numbers specified in the range (inclusive)
+ * Lazily generates all of the numbers specified in the range (inclusive)
  * @param {Array} range
- * @returns {Array}
+ * @param {Number} [step] The stride between numbers
+ * @param {Number} [radix] The radix of the numbers
+ * @returns {Generator}
  */
-function generateRange(range: string[]) {
+function* generateRange(range: string[], step: number = 1, radix: number = 10): Generator<string, void, void> {
   // is there a prefix in the range?
   const first = range[0];
   const last = range[range.length - 1];
+
+  if (radix === 10 && isAlphabetic(first)) {
+    yield* generateLetterRange(range, step);
+    return;
+  }
+
+  // Ranges are checked for consistent digits by areRangesValid before they are expanded
+  if (hasConsistentDigits(first, last)) yield* generatePrefixedRanges(range, getPrefix(first), step, radix);
+}
+
+/**
+ * Lazily generates letter ranges, preserving case
+ * @example
+ * [y,ab] => y,z,aa,ab
+ * @param {Array} range
+ * @param {Number} [step] The stride between values
+ * @returns {Generator}
+ */
+function* generateLetterRange(range: string[], step: number = 1): Generator<string, void, void> {
+  const isUpperCase = getValueKind(range[0]) === 2;
+  const end = getValueOrdinal(range[1]);
+
+  for (let i = getValueOrdinal(range[0]); i <= end; i += step) yield formatLetters(i, isUpperCase);
+}
+
+/**
+ * Indicates if the first and last items of a range agree on padding. Either both are padded to the same number
+ * of digits or neither is padded.
+ * @param {String} first The lower end of the range
+ * @param {String} last The upper end of the range
+ * @returns {Boolean}
+ */
+function hasConsistentDigits(first: string, last: string) {
   const prefixBeginning = getPrefix(first);
   const prefixEnding = getPrefix(last);
-  const valid =
-    (first.length === last.length && prefixBeginning.length > 0) ||
-    (prefixBeginning.length === 0 && prefixEnding.length === 0);
 
-  if (valid) {
-    return generatePrefixedRanges(range, prefixBeginning);
-  } else {
-    addInconsistentDigitsError(errorCollection.errors, constants);
-    return [];
-  }
+  return (
+    (first.length === last.length && prefixBeginning.length > 0) ||
+    (prefixBeginning.length === 0 && prefixEnding.length === 0)
+  );
 }
 
 /**
- * Generates prefixed ranges
+ * Lazily generates prefixed ranges. Hexadecimal digits keep the case of the range.
  * @example
- * [01,05] => [01,02,03,04,05]
+ * [01,05] => 01,02,03,04,05
+ * @example
+ * [0009,000b] => 0009,000a,000b
  * @param {Array} range
  * @param {String} prefix
- * @returns {Array}
+ * @param {Number} [step] The stride between numbers
+ * @param {Number} [radix] The radix of the numbers
+ * @returns {Generator}
  */
-function generatePrefixedRanges(range: string[], prefix: string) {
-  const start = +range[0];
-  const end = +range[1] + 1;
-  const out = [];
+function* generatePrefixedRanges(
+  range: string[],
+  prefix: string,
+  step: number = 1,
+  radix: number = 10
+): Generator<string, void, void> {
+  const start = getValueOrdinal(range[0], radix);
+  const end = getValueOrdinal(range[1], radix) + 1;
+  const isUpperCase = hasUpperCaseDigits(range);
+  const format = prefixString(prefix, range[0].length);
+
+  for (let i = start; i < end; i += step) yield format(formatNumeral(i, radix, isUpperCase));
+}
 
-  for (let i = start; i < end; i++) out.push(i);
+/**
+ * Writes a number in the specified radix
+ * @example
+ * // returns '1F'
+ * formatNumeral(31, 16, true)
+ * @param {Number} ordinal
+ * @param {Number} radix
+ * @param {Boolean} isUpperCase Write hexadecimal digits in uppercase
+ * @returns {String}
+ */
+function formatNumeral(ordinal: number, radix: number, isUpperCase: boolean) {
+  const numeral = ordinal.toString(radix);
 
-  return out.map(prefixString(prefix, range[0].length));
+  return isUpperCase ? numeral.toUpperCase() : numeral;
 }
 
 /**
- * Adds the "prefixes don't match" message to the error collection
- * @param {Array} errors
- * @param {Object} constants
+ * Indicates if the endpoints of a range are written with uppercase hexadecimal digits
+ * @param {Array} range
+ * @returns {Boolean}
  */
-function addInconsistentDigitsError(errors, constants) {
-  if (!errors.find(x => x === constants.INCONSISTENT_DIGITS)) addErrorObject(constants.INCONSISTENT_DIGITS);
+function hasUpperCaseDigits(range: string[]) {
+  return /[A-F]/.test(range.join(""));
 }
 
 /**
@@ -849,12 +3598,10 @@ function addInconsistentDigitsError(errors, constants) {
  * @returns {string}
  */
 function getPrefix(item: string) {
-  const asNum = +item;
+  // If the number is 0 (ex. '000') then the last zero is not part of the prefix
+  const zeros = item.length - item.replace(/^0+/, "").length;
 
-  // If the number is 0 (ex. '000') then simply return the item
-  if (asNum === 0) return item.substring(0, item.length - 1);
-
-  return item.substring(0, item.indexOf(asNum.toString()));
+  return item.substring(0, Math.min(zeros, item.length - 1));
 }
 
 /**
@@ -892,110 +3639,51 @@ function prefixString(prefix, numDigits) {
  * 1. vbox[10,11-12,2-3,5]
  * 2. vbox.com
  * Therefore, we need to apply a simple rule: For every comma identified, it must not be
- * surrounded by brackets.
+ * surrounded by brackets. The commas are walked in a single loop, so long lists do not grow the stack.
  * @param {String} expression
  * @param {Function} isInsideBraces
  * @returns {Array}
  */
 function splitExpressions(expression, isInsideBraces) {
   const expressions = [];
-  // Split the expression by commas
-  const curLoc = expression.indexOf(",");
   // remove all white space
   expression = expression.replace(/ /g, "");
 
-  return curLoc === -1
-    ? addExpressionToExpressionList(expressions, expression)
-    : lookForMoreExpressionsToSplit(expressions, expression, curLoc, isInsideBraces);
-}
-
-/**
- * Adds an expression to the expressions array and returns the expressions array
- * @param {Array} expressions
- * @param {String} expression
- * @returns {Array}
- */
-function addExpressionToExpressionList(expressions, expression) {
-  expressions.push(expression);
-  return expressions;
-}
-
-/**
- * Looks for more expressions to split
- * @param {Array} expressions
- * @param {String} expression
- * @param {Number} curLoc
- * @param {Function} isInsideBraces
- * @returns {Array}
- */
-function lookForMoreExpressionsToSplit(expressions, expression, curLoc, isInsideBraces) {
-  let ruleApplied;
-  const isLocationInsideBraces = fp.flow(
-    x => isInsideBraces(expression, x),
-    fp.always
-  );
+  let start = 0;
 
-  while (curLoc !== -1 && !ruleApplied) {
-    // Apply the rule at the current comma location
-    ruleApplied = fp.cond(
-      [isLocationInsideBraces(curLoc), fp.always(addSplitExpression)],
-      [fp.True, fp.always(fp.always(false))]
-    )()(expressions, expression, curLoc, isInsideBraces);
+  for (let curLoc = expression.indexOf(","); curLoc !== -1; curLoc = expression.indexOf(",", curLoc + 1)) {
+    if (!isInsideBraces(expression, curLoc, start)) continue;
 
-    curLoc = expression.indexOf(",", curLoc + 1);
+    expressions.push(expression.slice(start, curLoc));
+    start = curLoc + 1;
   }
 
-  // There may be a final expression like this: hostname[15,17].iml.com
-  // In this case, there is no separation of expressions but the if check above would not evaluate to
-  // true because there is a comma in this expression; it just isn't separating multiple expressions.
-  // Therefore, we need to add this to the list of expressions because it is the final expression.
-  const is0 = fp.flow(
-    fp.eq(0),
-    fp.always
-  );
-  const isGreaterThan0 = fp.flow(
-    math.gt.bind(null, 0),
-    fp.always
-  );
-  const hasNoSeparation = fp.and([is0(expressions.length), isGreaterThan0(expression.length)]);
-
-  if (hasNoSeparation()) addExpressionToExpressionList(expressions, expression);
+  // The final expression, which may hold commas that do not separate expressions, like hostname[15,17].iml.com
+  expressions.push(expression.slice(start));
 
   return expressions;
 }
 
-/**
- * Adds the split expression to the expressions array
- * @param {Array} expressions
- * @param {String} expression
- * @param {Number} curLoc
- * @param {Function} isInsideBraces
- * @returns {Boolean}
- */
-function addSplitExpression(expressions, expression, curLoc, isInsideBraces) {
-  expressions.push(expression.substring(0, curLoc));
-
-  // call split expressions and concat the resulting array onto the expressions list
-  [].push.apply(expressions, splitExpressions(expression.slice(curLoc + 1), isInsideBraces));
-
-  return true;
-}
-
 /**
  * Indicates if the location specified is inside braces
  * @param {String} expression The expression
  * @param {Number} loc The subject location in the expression in which the rule is being applied
+ * @param {Number} [start] Where the part of the expression being split starts
  * @returns {Boolean}
  */
-function isInsideBraces(expression, loc) {
+function isInsideBraces(expression, loc, start = 0) {
   // Check the left and right braces to determine if the location is between braces
-  const leftSide = expression.substr(0, loc);
-  const rightSide = expression.substr(loc + 1);
+  const lastIndexOf = (x: string) => {
+    const index = loc > start ? expression.lastIndexOf(x, loc - 1) : -1;
 
-  const lastIndexOf = "".lastIndexOf;
-  const indexOf = "".indexOf;
+    return index < start ? -1 : index;
+  };
+  const indexOf = (x: string) => expression.indexOf(x, loc + 1);
 
-  return hasBrace(lastIndexOf.bind(leftSide)) && hasBrace(indexOf.bind(rightSide));
+  return [
+    [constants.OPEN_BRACE, constants.CLOSING_BRACE],
+    [constants.OPEN_CURLY_BRACE, constants.CLOSING_CURLY_BRACE]
+  ].every(([open, close]) => hasBrace(lastIndexOf, open, close) && hasBrace(indexOf, open, close));
 }
 
 /**
@@ -1005,11 +3693,17 @@ function isInsideBraces(expression, loc) {
  * 2. hasRightBrace - Is there a brace to the right of this location in which a closing brace is NOT closer in
  * distance, or is there no open brace to the right at all?
  * @param {fn} indexOf | lastIndexOf bound to string
+ * @param {String} [open] The opening brace
+ * @param {String} [close] The closing brace
  * @returns {Boolean}
  */
-function hasBrace(fn: (x: string) => number) {
-  const closestClosingBrace = fn(constants.CLOSING_BRACE);
-  const closestOpeningBrace = fn(constants.OPEN_BRACE);
+function hasBrace(
+  fn: (x: string) => number,
+  open: string = constants.OPEN_BRACE,
+  close: string = constants.CLOSING_BRACE
+) {
+  const closestClosingBrace = fn(close);
+  const closestOpeningBrace = fn(open);
 
   return (closestClosingBrace === -1 && closestOpeningBrace === -1) || closestOpeningBrace < closestClosingBrace;
 }
@@ -1043,6 +3737,7 @@ function proceedWithTokenize(tokens, expression) {
       ),
       fp.always(processNonRanges)
     ],
+    [isAlternation, fp.always(addTokenToList(constants.CLOSING_CURLY_BRACE, 1))],
     [fp.True, fp.always(addTokenToList(constants.CLOSING_BRACE, 1))]
   )(expression)(tokens, expression);
 }
@@ -1054,11 +3749,23 @@ function proceedWithTokenize(tokens, expression) {
  */
 function processNonRanges(tokens, expression) {
   fp.cond(
-    [() => rangeExists(expression), fp.always(addTokenToList(constants.OPEN_BRACE, 0))],
+    [() => rangeExists(expression), fp.always(addTokenToList(findFirstOpeningBrace(expression), 0))],
     [fp.True, fp.always(addItemToArray)]
   )()(tokens, expression);
 }
 
+/**
+ * Finds the opening brace of the first range or alternation in the expression
+ * @param {String} expression
+ * @returns {String}
+ */
+function findFirstOpeningBrace(expression: string) {
+  const curlyIndex = expression.indexOf(constants.OPEN_CURLY_BRACE);
+  const index = expression.indexOf(constants.OPEN_BRACE);
+
+  return curlyIndex > -1 && (index === -1 || curlyIndex < index) ? constants.OPEN_CURLY_BRACE : constants.OPEN_BRACE;
+}
+
 /**
  * Adds a token to the tokens list
  * @param {String} key
@@ -1075,21 +3782,6 @@ function addTokenToList(key: string, addToIndex: number) {
   };
 }
 
-function getIndexArrayOfBraces(expression, brace) {
-  const re = brace === "[" ? /([\[])/g : /([\]])/g;
-  const indicies = [];
-  let m;
-
-  while ((m = re.exec(expression)) != null)
-    if (m != null) {
-      if (m.index === re.lastIndex) re.lastIndex += 1;
-
-      indicies.push(m.index);
-    }
-
-  return indicies;
-}
-
 /**x
  * HOF to be used as an argument to reduce. Give it a function that will be executed
  * on each item of the array during the reduction process.
@@ -1101,21 +3793,44 @@ function sum(fn) {
 }
 
 /**
- * Adds an error message to the errors object
- * @param {String} msg
+ * Adds an error object to the errors collection. The code names the message in constants; an error with the same
+ * code, location, hostname, file and line is only added once.
+ * @param {Object} state
+ * @param {String} code
+ * @param {Object} details The location of the error and any message that replaces the one in constants
  */
-function addErrorObject(msg: string) {
-  if (!errorCollection.errors.find(x => x === msg, errorCollection.errors)) errorCollection.errors.push(msg);
+function addErrorObject(state, code: string, details: Object) {
+  addIssueObject(state.errors, code, details);
 }
 
 /**
- * Takes multiple arrays and flattens them into one
- * @param {Array} prev
- * @param {Array} current
- * @returns {Array}
+ * Adds a warning object to the warnings collection. Warnings have the same shape as errors but don't fail the parse.
+ * @param {Object} state
+ * @param {String} code
+ * @param {Object} details The location of the warning and any message that replaces the one in constants
+ */
+function addWarningObject(state, code: string, details: Object) {
+  addIssueObject(state.warnings, code, details);
+}
+
+/**
+ * Adds an issue to a collection unless one with the same code, location, hostname, file and line is already there.
+ * @param {Array} issues
+ * @param {String} code
+ * @param {Object} details
  */
-function flattenArrayOfValues(prev: string[], current: string[]) {
-  return prev.concat(current);
+function addIssueObject(issues: ParseError[], code: string, details: Object) {
+  const issue = { code, message: constants[code], ...details };
+
+  const isSame = x =>
+    x.code === code &&
+    x.start === issue.start &&
+    x.end === issue.end &&
+    x.hostname === issue.hostname &&
+    x.file === issue.file &&
+    x.line === issue.line;
+
+  if (!issues.find(isSame)) issues.push(issue);
 }
 
 /**
@@ -1129,28 +3844,360 @@ function moreRangesAvailable(ranges, curArrayId: number) {
 }
 
 /**
- * Runs a regular expression against a range string. ex. 6-10
+ * Runs a regular expression against a range string. ex. 6-10, a-f, AA-AZ or 0x00-0xff, with an optional stride.
+ * ex. 1-10/2. Hexadecimal digits may not mix cases.
  * @param {String} item
  * @returns {Boolean}
  */
 function isValidRange(item: string) {
-  return validRangeRegex.test(item);
+  const [bounds, step, ...rest] = item.split("/");
+
+  return (
+    validRangeRegex.test(bounds) &&
+    !(/[a-f]/.test(bounds) && /[A-F]/.test(bounds)) &&
+    (step == null || (bounds.indexOf("-") > -1 && strideRegex.test(step))) &&
+    rest.length === 0
+  );
 }
 
 /**
- * Checks if a range is present in an expression
+ * Checks if a range or an alternation is present in an expression
  * @param {String} e The expression
  * @returns {Boolean}
  */
 function rangeExists(e: string) {
-  return e.indexOf(constants.OPEN_BRACE) > -1;
+  return e.indexOf(constants.OPEN_BRACE) > -1 || e.indexOf(constants.OPEN_CURLY_BRACE) > -1;
 }
 
 /**
- * Indicates if the first character in the expression is the start of a range
+ * Indicates if the first character in the expression is the start of a range or an alternation
  * @param {String} e The expression passed in
  * @returns {Boolean}
  */
 function range(e: string) {
-  return e[0] === constants.OPEN_BRACE;
+  return e[0] === constants.OPEN_BRACE || isAlternation(e);
+}
+
+/**
+ * Indicates if the first character in the expression is the start of an alternation
+ * @param {String} e The expression passed in
+ * @returns {Boolean}
+ */
+function isAlternation(e: string) {
+  return e[0] === constants.OPEN_CURLY_BRACE;
+}
+
+/**
+ * Indicates if the character opens a range or an alternation
+ * @param {String} char
+ * @returns {Boolean}
+ */
+function isOpeningBrace(char: string) {
+  return char === constants.OPEN_BRACE || char === constants.OPEN_CURLY_BRACE;
+}
+
+/**
+ * Indicates if the character closes a range or an alternation
+ * @param {String} char
+ * @returns {Boolean}
+ */
+function isClosingBrace(char: string) {
+  return char === constants.CLOSING_BRACE || char === constants.CLOSING_CURLY_BRACE;
+}
+
+/**
+ * Folds a list of hostnames into an expression with as few terms as it can. Hostnames are grouped by the text
+ * surrounding their numbers and letters, as split by splitHostname. Each hostname of a group starts as a term
+ * holding a single value for each of its numbers, and terms holding the same values for every number but one are
+ * merged, one number at a time from the last, until no more terms can be merged. The terms are then folded in the
+ * same way on the labels between hyphens and dots, so labels without ranges that differ become an alternation.
+ * @example
+ * // returns 'rack[1-2]-node[1-3],mds1'
+ * foldHostnames(['rack1-node1', 'rack1-node2', 'rack1-node3', 'rack2-node1', 'rack2-node2', 'rack2-node3', 'mds1'])
+ * @example
+ * // returns 'node[1-2]-{ib0,eth0}'
+ * foldHostnames(['node1-ib0', 'node1-eth0', 'node2-ib0', 'node2-eth0'])
+ * @param {Array} hostnames Hostnames that are not repeated
+ * @returns {String}
+ */
+function foldHostnames(hostnames: string[]): string {
+  const expressions = groupBy(hostnames.map(splitHostname), x => JSON.stringify(x.texts))
+    .map(parts => {
+      const { texts } = parts[0];
+      const terms = parts.map(x => x.numbers.map(number => [number]));
+      // An expression made of a single range is taken as written, so hostnames made of a single number are kept.
+      const folded = isBareFormat(texts) ? terms : foldTerms(terms);
+
+      return folded.map(term => fillFormat(texts, term.map(x => (x.length > 1 ? `[${foldValues(x)}]` : x[0]))));
+    })
+    .reduce(flattenArrayOfValues, []);
+
+  return foldAlternatives(expressions).join(",");
+}
+
+/**
+ * Folds expressions holding the same labels, between hyphens and dots outside of ranges, but one into an
+ * alternation, until no more expressions can be folded. Labels holding ranges are not folded.
+ * @example
+ * // returns ['node[1-2]-{ib0,eth0}']
+ * foldAlternatives(['node[1-2]-ib0', 'node[1-2]-eth0'])
+ * @param {Array} expressions Expressions that don't overlap
+ * @returns {Array}
+ */
+function foldAlternatives(expressions: string[]): string[] {
+  const isAlternative = x => validAlternativeRegex.test(x);
+
+  return groupBy(expressions.map(splitLabels), x => x.separators.join(""))
+    .map(group => {
+      const { separators } = group[0];
+
+      // Like a range, an expression made of a single alternation is taken as written.
+      if (separators.length === 0) return group.map(x => x.labels[0]);
+
+      return foldTerms(group.map(x => x.labels.map(label => [label])), isAlternative).map(term =>
+        term
+          .map(x => (x.length > 1 ? `{${x.join(",")}}` : x[0]))
+          .reduce((prev, x, index) => prev + separators[index - 1] + x)
+      );
+    })
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Splits an expression into the labels between hyphens and dots outside of ranges
+ * @example
+ * // returns { labels: ['node[1-2]', 'ib0'], separators: ['-'] }
+ * splitLabels('node[1-2]-ib0')
+ * @param {String} expression
+ * @returns {Object}
+ */
+function splitLabels(expression: string) {
+  const pieces = expression.split(/([-.])(?![^[]*\])/);
+
+  return {
+    labels: pieces.filter((x, index) => index % 2 === 0),
+    separators: pieces.filter((x, index) => index % 2 === 1)
+  };
+}
+
+/**
+ * Merges terms holding the same values for every number but one, until no more terms can be merged. A term holds
+ * the values of each number, in order.
+ * @example
+ * // returns [[['1', '2'], ['1', '2']]]
+ * foldTerms([[['1'], ['1']], [['1'], ['2']], [['2'], ['1']], [['2'], ['2']]])
+ * @param {Array} terms Terms that don't overlap
+ * @param {Function} [isMergeable] Indicates if a value can be merged with others
+ * @returns {Array}
+ */
+function foldTerms(terms: string[][][], isMergeable: string => boolean = () => true): string[][][] {
+  const positions = terms.length > 0 ? terms[0].length : 0;
+  let folded = terms;
+  let previousLength = Infinity;
+
+  while (folded.length < previousLength) {
+    previousLength = folded.length;
+
+    for (let position = positions - 1; position >= 0; position -= 1) folded = mergeTerms(folded, position, isMergeable);
+  }
+
+  return folded;
+}
+
+/**
+ * Merges terms holding the same values for every number but the one at the position. Terms holding a value that
+ * can't be merged at the position are kept as they are.
+ * @example
+ * // returns [[['1'], ['1', '2']], [['2'], ['1']]]
+ * mergeTerms([[['1'], ['1']], [['1'], ['2']], [['2'], ['1']]], 1, () => true)
+ * @param {Array} terms
+ * @param {Number} position
+ * @param {Function} isMergeable Indicates if a value can be merged with others
+ * @returns {Array}
+ */
+function mergeTerms(terms: string[][][], position: number, isMergeable: string => boolean): string[][][] {
+  const findKey = term =>
+    term.map((x, index) => (index === position && x.every(isMergeable) ? "" : x.join(","))).join(";");
+
+  return groupBy(terms, findKey).map(group => {
+    const term = group[0].slice();
+    const values = [];
+
+    group.forEach(x => x[position].forEach(value => values.push(value)));
+    term[position] = values.sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0));
+
+    return term;
+  });
+}
+
+/**
+ * Splits a hostname into a format, the texts around its numbers, and the numbers that fill it. A run starting with
+ * 0 that holds hexadecimal letters of a single case is a number, and so is the last letter of a run of letters, as
+ * normalize reads them.
+ * @example
+ * // returns { texts: ['os', '', '-i', '', ''], numbers: ['s', '01', 'b', '0'] }
+ * splitHostname('oss01-ib0')
+ * @example
+ * // returns { texts: ['lf', '-OS', '', ''], numbers: ['s', 'T', '000a'] }
+ * splitHostname('lfs-OST000a')
+ * @param {String} hostname
+ * @returns {Object}
+ */
+function splitHostname(hostname: string) {
+  const pieces = hostname.split(/(0[0-9]*[a-f][0-9a-f]*|0[0-9]*[A-F][0-9A-F]*|[0-9]+|[a-zA-Z](?![a-zA-Z]))/);
+
+  return {
+    texts: pieces.filter((piece, index) => index % 2 === 0),
+    numbers: pieces.filter((piece, index) => index % 2 === 1)
+  };
+}
+
+/**
+ * Indicates if a format holds a single number and no text
+ * @param {Array} texts
+ * @returns {Boolean}
+ */
+function isBareFormat(texts: string[]) {
+  return texts.length === 2 && texts[0] === "" && texts[1] === "";
+}
+
+/**
+ * Folds hostname parts sharing the same format into expressions. The last number that varies across the parts
+ * is turned into a range; the remaining numbers must match for parts to be folded together.
+ * @example
+ * // returns ['oss[1-2]-ib0']
+ * foldHostnameParts([
+ *   { texts: ['oss', '-ib', ''], numbers: ['1', '0'] },
+ *   { texts: ['oss', '-ib', ''], numbers: ['2', '0'] }
+ * ])
+ * @param {Array} parts
+ * @returns {Array}
+ */
+function foldHostnameParts(parts) {
+  const position = findVaryingPosition(parts);
+
+  // An expression made of a single range is taken as written, so hostnames made of a single number are kept.
+  if (position === -1 || isBareFormat(parts[0].texts)) return parts.map(x => fillFormat(x.texts, x.numbers));
+
+  return groupBy(parts, x => x.numbers.filter((number, index) => index !== position).join(",")).map(group => {
+    const numbers = group[0].numbers.slice();
+    numbers[position] = group.length > 1 ? `[${foldValues(group.map(x => x.numbers[position]))}]` : numbers[position];
+
+    return fillFormat(group[0].texts, numbers);
+  });
+}
+
+/**
+ * Finds the last number position that holds more than one value across the hostname parts.
+ * @param {Array} parts
+ * @returns {Number} The position, or -1 if every position holds a single value.
+ */
+function findVaryingPosition(parts) {
+  const positions = parts[0].numbers
+    .map((number, index) => index)
+    .filter(index => parts.some(x => x.numbers[index] !== parts[0].numbers[index]));
+
+  return positions.length > 0 ? positions[positions.length - 1] : -1;
+}
+
+/**
+ * Writes each number between the texts of a format
+ * @example
+ * // returns 'oss1-ib0'
+ * fillFormat(['oss', '-ib', ''], ['1', '0'])
+ * @param {Array} texts
+ * @param {Array} numbers
+ * @returns {String}
+ */
+function fillFormat(texts: string[], numbers: string[]) {
+  return texts.map((text, index) => (index === 0 ? text : numbers[index - 1] + text)).join("");
+}
+
+/**
+ * Folds a list of numbers and letters in string format into the contents of a range. Numbers come first, then
+ * lowercase and uppercase letters.
+ * @example
+ * // returns '1-2,b-d'
+ * foldValues(['c', '1', 'b', '2', 'd'])
+ * @param {Array} values
+ * @returns {String}
+ */
+function foldValues(values: string[]) {
+  const isLetter = x => /^[a-zA-Z]$/.test(x);
+  const numbers = values.filter(x => !isLetter(x));
+  const letters = groupBy(values.filter(isLetter).sort(compareRangeValues), x => String(getValueKind(x)))
+    .sort((a, b) => getValueKind(a[0]) - getValueKind(b[0]))
+    .map(group => findRangeInList(group).map(x => (x.length > 1 ? `${x[0]}-${x[x.length - 1]}` : x[0])))
+    .reduce(flattenArrayOfValues, []);
+
+  return (numbers.length > 0 ? [foldNumbers(numbers), ...letters] : letters).join(",");
+}
+
+/**
+ * Folds a list of numbers in string format into the contents of a range. Numbers with a prefix are padded to their
+ * length, and numbers without a prefix join the padded numbers of the same length when there are any. Numbers
+ * holding hexadecimal letters are folded into hexadecimal items along with the other numbers of their length,
+ * keeping the case of the letters.
+ * @example
+ * // returns '7,09-11'
+ * foldNumbers(['10', '09', '7', '11'])
+ * @example
+ * // returns '0x0009-0x000b'
+ * foldNumbers(['000a', '0009', '000b'])
+ * @param {Array} numbers
+ * @returns {String}
+ */
+function foldNumbers(numbers: string[]) {
+  const paddedWidths = {};
+  const hexCases = {};
+  const isPadded = x => getPrefix(x).length > 0;
+  const caseOf = x => (/[a-f]/.test(x) ? "lower" : /[A-F]/.test(x) ? "upper" : hexCases[x.length]);
+
+  numbers.filter(isPadded).forEach(x => (paddedWidths[x.length] = true));
+  numbers
+    .filter(x => /[a-fA-F]/.test(x))
+    .forEach(x => (hexCases[x.length] = hexCases[x.length] === "lower" ? "lower" : caseOf(x)));
+
+  const widthOf = x => (isPadded(x) || paddedWidths[x.length] || hexCases[x.length] ? x.length : 0);
+
+  return groupBy(numbers, x => `${widthOf(x)}:${caseOf(x) || ""}`)
+    .map(group => {
+      const radix = caseOf(group[0]) == null ? 10 : 16;
+      const marker = radix === 16 ? "0x" : "";
+      const ranges = findRangeInList(
+        group.slice().sort((a, b) => getValueOrdinal(a, radix) - getValueOrdinal(b, radix)),
+        false,
+        radix
+      );
+
+      return ranges
+        .map(x => splitUpperCaseRange(x, caseOf(group[0]) === "upper"))
+        .reduce(flattenArrayOfValues, [])
+        .map(x => ({
+          ordinal: getValueOrdinal(x[0], radix),
+          text: x.length > 1 ? `${marker}${x[0]}-${marker}${x[x.length - 1]}` : marker + x[0]
+        }));
+    })
+    .reduce(flattenArrayOfValues, [])
+    .sort((a, b) => a.ordinal - b.ordinal)
+    .map(x => x.text)
+    .join(",");
+}
+
+/**
+ * Splits a range of uppercase hexadecimal numbers at its first number holding a letter when neither end holds
+ * one, since an item takes the case of its digits from its ends.
+ * @example
+ * // returns [['0009'], ['000A', '000B', '000C', '000D', '000E', '000F', '0010']]
+ * splitUpperCaseRange(['0009', '000A', '000B', '000C', '000D', '000E', '000F', '0010'], true)
+ * @param {Array} range The numbers of the range, in order
+ * @param {Boolean} isUpperCase
+ * @returns {Array}
+ */
+function splitUpperCaseRange(range: string[], isUpperCase: boolean): string[][] {
+  const index = range.findIndex(x => /[A-F]/.test(x));
+
+  if (!isUpperCase || index <= 0 || /[A-F]/.test(range[range.length - 1])) return [range];
+
+  return [range.slice(0, index), range.slice(index)];
 }
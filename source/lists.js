@@ -0,0 +1,43 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+/**
+ * Takes multiple arrays and flattens them into one. The values are added to prev, so that flattening takes linear
+ * time; reductions using it start from a new array.
+ * @param {Array} prev
+ * @param {Array} current
+ * @returns {Array}
+ */
+export function flattenArrayOfValues<T>(prev: T[], current: T[]): T[] {
+  current.forEach(x => prev.push(x));
+
+  return prev;
+}
+
+/**
+ * Groups a list into sub lists sharing the same key. Groups are returned in the order their key first appeared.
+ * @param {Array} list
+ * @param {Function} fn Returns the key of an item
+ * @returns {Array}
+ */
+export function groupBy<T>(list: T[], fn: T => string): T[][] {
+  const groups = {};
+  const keys = [];
+
+  list.forEach(item => {
+    const key = fn(item);
+
+    if (!groups[key]) {
+      groups[key] = [];
+      keys.push(key);
+    }
+
+    groups[key].push(item);
+  });
+
+  return keys.map(key => groups[key]);
+}
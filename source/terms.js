@@ -0,0 +1,715 @@
+// @flow
+
+//
+// Copyright (c) 2018 DDN. All rights reserved.
+// Use of this source code is governed by a MIT-style
+// license that can be found in the LICENSE file.
+
+import * as fp from "@iml/fp";
+import {
+  createBlock,
+  findGreatestCommonDivisor,
+  findSpanIntervals,
+  findStrideValues,
+  fixSpan,
+  formatSpanValue,
+  modulo,
+  readSpanValue,
+  removeStrides
+} from "./blocks.js";
+import { flattenArrayOfValues, groupBy } from "./lists.js";
+
+import type { Block, Stride } from "./blocks.js";
+
+// The digits of each kind of number in a canonical form, in the order the kinds are written. See normalize.
+const numberDigits = Object.freeze({
+  decimal: "0123456789",
+  hex: "0123456789abcdef",
+  HEX: "0123456789ABCDEF",
+  lower: "abcdefghijklmnopqrstuvwxyz",
+  upper: "ABCDEFGHIJKLMNOPQRSTUVWXYZ"
+});
+
+type NumberProgression = { kind: string, length: number, low: number, high: number, step: number };
+
+type NumberRun = { first: string, last: string, step: number, marker: string };
+
+/**
+ * Describes the hostnames of a block as terms. A term is a format, the texts around its numbers, and the tokens
+ * filling them. A number is a run of digits, or a run starting with 0 that holds hexadecimal letters of a
+ * single case, such as 00ff. The last letter of a run of letters is a number as well, so racka and rackb share the
+ * format ['rack', '']. Positions holding characters that play different parts split the block into a term for each
+ * part, and letters that are not numbers into a term for each letter. Each stride is kept with the token it
+ * applies to; when that can't be done, the values of the stride are listed instead.
+ * @example
+ * // returns [{ texts: ['os', '', ''], tokens: [{ kind: 'lower', start: 2, characters: ['s'], stride: null },
+ * //   { kind: 'decimal', start: 3, characters: ['1', '0123456789'], stride: null }], characters: [...] }]
+ * findBlockTerms(createBlock(['o', 's', 's', '1', '0123456789']), true)
+ * @param {Object} block
+ * @param {Boolean} isHexRead Read runs starting with 0 that hold hexadecimal letters as hexadecimal numbers
+ * @returns {Array}
+ */
+export function findBlockTerms(block: Block, isHexRead: boolean): Object[] {
+  const terms = block.characters
+    .reduce(
+      (prev, characters, position) =>
+        prev.map(x => extendTerm(x, characters, position, isHexRead)).reduce(flattenArrayOfValues, []),
+      [{ texts: [""], tokens: [], characters: [], open: null }]
+    )
+    .map(closeToken);
+  const located = terms.map(x => locateStrides(x, block.strides));
+
+  return located.every(x => x != null)
+    ? terms.map(x => locateStrides(x, block.strides) || x)
+    : removeStrides(block)
+        .map(x => findBlockTerms(createBlock(x), isHexRead))
+        .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Adds the characters at the next position of a block to a term, splitting it into a term for each part the
+ * characters play.
+ * @param {Object} term
+ * @param {String} characters
+ * @param {Number} position
+ * @param {Boolean} isHexRead Hexadecimal letters may continue a number
+ * @returns {Array}
+ */
+function extendTerm(term: Object, characters: string, position: number, isHexRead: boolean): Object[] {
+  const { open } = term;
+  const continued = open == null || isLetterKind(open.kind) ? [] : findContinuations(open.kind, characters, isHexRead);
+  const absorbed = continued.map(x => x.characters).join("");
+  const rest = characters.split("").filter(x => absorbed.indexOf(x) === -1);
+
+  return continued
+    .map(x => ({
+      ...term,
+      characters: [...term.characters, x.characters],
+      open: { ...open, kind: x.kind, characters: [...open.characters, x.characters] }
+    }))
+    .concat(rest.length === 0 ? [] : startTerms(continued.length > 0 ? closeToken(term) : term, rest, position));
+}
+
+/**
+ * Splits the characters continuing an open number into the parts they play. Digits continue any number, and
+ * hexadecimal letters continue a number that starts with 0 and holds no letters of the other case.
+ * @param {String} kind The kind of the open number
+ * @param {String} characters
+ * @param {Boolean} isHexRead Hexadecimal letters may continue a number
+ * @returns {Array} The characters continuing the number, with the kind of number they make
+ */
+function findContinuations(kind: string, characters: string, isHexRead: boolean) {
+  const isHexCapable = isHexRead && kind !== "digits";
+  const digits = characters.replace(/[^0-9]/g, "");
+  const lower = characters.replace(/[^a-f]/g, "");
+  const upper = characters.replace(/[^A-F]/g, "");
+  const continued = [];
+
+  if (digits !== "") continued.push({ kind, characters: digits });
+  if (isHexCapable && kind !== "HEX" && lower !== "") continued.push({ kind: "hex", characters: lower });
+  if (isHexCapable && kind !== "hex" && upper !== "") continued.push({ kind: "HEX", characters: upper });
+
+  return continued;
+}
+
+/**
+ * Adds characters that don't continue an open number to a term. Digits start a number, letters start a run of
+ * letters whose last letter is a number, and any other character is written in the format.
+ * @param {Object} term
+ * @param {Array} characters
+ * @param {Number} position
+ * @returns {Array}
+ */
+function startTerms(term: Object, characters: string[], position: number): Object[] {
+  const pick = (regex: RegExp) => characters.filter(x => regex.test(x)).join("");
+  const start = (from, kind, set) => ({
+    ...from,
+    characters: [...from.characters, set],
+    open: { kind, start: position, characters: [set], stride: null }
+  });
+  const closed = closeToken(term);
+  const numbers = [["digits0", pick(/0/)], ["digits", pick(/[1-9]/)]]
+    .filter(([, set]) => set !== "")
+    .map(([kind, set]) => start(closed, kind, set));
+  const letters = [["lower", pick(/[a-z]/)], ["upper", pick(/[A-Z]/)]]
+    .filter(([, set]) => set !== "")
+    .map(([kind, set]) => spellLetter(term).map(x => start(x, kind, set)))
+    .reduce(flattenArrayOfValues, []);
+  const others = characters
+    .filter(x => !/[0-9a-zA-Z]/.test(x))
+    .map(x => ({ ...closed, texts: appendText(closed.texts, x), characters: [...closed.characters, x] }));
+
+  return [...numbers, ...letters, ...others];
+}
+
+/**
+ * Writes the open letter of a term in its format, as a term for each letter it may be, since a letter followed by
+ * another letter is not a number.
+ * @param {Object} term
+ * @returns {Array}
+ */
+function spellLetter(term: Object): Object[] {
+  const { open } = term;
+
+  if (open == null || !isLetterKind(open.kind)) return [closeToken(term)];
+
+  return open.characters[0].split("").map(x => ({
+    ...term,
+    texts: appendText(term.texts, x),
+    characters: [...term.characters.slice(0, open.start), x, ...term.characters.slice(open.start + 1)],
+    open: null
+  }));
+}
+
+/**
+ * Adds text to the end of a format
+ * @example
+ * // returns ['rack', '-n']
+ * appendText(['rack', '-'], 'n')
+ * @param {Array} texts
+ * @param {String} text
+ * @returns {Array}
+ */
+function appendText(texts: string[], text: string): string[] {
+  return [...texts.slice(0, -1), texts[texts.length - 1] + text];
+}
+
+/**
+ * Closes the open number of a term, ending the text of its format before it
+ * @param {Object} term
+ * @returns {Object}
+ */
+function closeToken(term: Object): Object {
+  const { open } = term;
+
+  if (open == null) return term;
+
+  const kind = open.kind === "digits" || open.kind === "digits0" ? "decimal" : open.kind;
+
+  return {
+    ...term,
+    texts: [...term.texts, ""],
+    tokens: [...term.tokens, { ...open, kind }],
+    open: null
+  };
+}
+
+/**
+ * Indicates if a kind of number is a letter
+ * @param {String} kind
+ * @returns {Boolean}
+ */
+function isLetterKind(kind: string) {
+  return kind === "lower" || kind === "upper";
+}
+
+/**
+ * Gives each stride of a block to the token of a term holding its last position. The positions of the stride
+ * before the token must be written in the format, and their values are taken into the remainder of the stride.
+ * @param {Object} term
+ * @param {Array} strides
+ * @returns {Object|null} null when a stride can't be given to a token
+ */
+function locateStrides(term: Object, strides: Stride[]): ?Object {
+  return strides.reduce((prev, stride) => {
+    if (prev == null || stride.isExcluded) return null;
+
+    const index = prev.tokens.findIndex(x => x.start < stride.end && stride.end <= x.start + x.characters.length);
+    const token = prev.tokens[index];
+
+    if (token == null || token.stride != null) return null;
+
+    const start = Math.max(stride.start, token.start);
+    const isOutsideTokens = prev.tokens.every(x => x.start >= start || x.start + x.characters.length <= stride.start);
+
+    if (!isOutsideTokens) return null;
+
+    const written = readSpanValue(prev.characters.slice(stride.start, start).join(""), stride.digits);
+    const remainder = modulo(
+      stride.remainder - written * Math.pow(stride.digits.length, stride.end - start),
+      stride.step
+    );
+    const located = { ...stride, start: start - token.start, end: stride.end - token.start, remainder };
+
+    return { ...prev, tokens: prev.tokens.map((x, i) => (i === index ? { ...x, stride: located } : x)) };
+  }, term);
+}
+
+/**
+ * Reads the tokens of terms sharing a format as sets of numbers. A run of digits is read as a hexadecimal number
+ * when another term holds a hexadecimal number of the same length at the same place. Terms left without hostnames
+ * by a stride are dropped first, so they don't take part.
+ * @param {Array} terms
+ * @returns {Array} The numbers of each term, as progressions
+ */
+export function readTermNumbers(terms: Object[]): NumberProgression[][][] {
+  const filled = terms.filter(term =>
+    term.tokens.every(x => x.stride == null || findTokenProgressions(x, x.kind).length > 0)
+  );
+
+  if (filled.length === 0) return [];
+
+  const hexKinds = filled[0].tokens.map((x, index) =>
+    filled.reduce((prev, term) => {
+      const { kind, characters } = term.tokens[index];
+      const isHex = (kind === "hex" || kind === "HEX") && prev[characters.length] !== "hex";
+
+      return isHex ? { ...prev, [characters.length]: kind } : prev;
+    }, {})
+  );
+
+  return filled.map(term =>
+    term.tokens.map((token, index) =>
+      findTokenProgressions(
+        token,
+        token.kind === "decimal" ? hexKinds[index][token.characters.length] || "decimal" : token.kind
+      )
+    )
+  );
+}
+
+/**
+ * Describes the values of a token as progressions. Characters written out at the end of the token and the stride
+ * of the token are taken into the step of the progressions rather than listing the values. A stride that doesn't
+ * reach the end of the token, that follows varying characters or that counts in another radix has its values
+ * listed.
+ * @example
+ * // returns [{ kind: 'decimal', length: 6, low: 100005, high: 999995, step: 10 }]
+ * findTokenProgressions({ kind: 'decimal', start: 4, characters: ['123456789', ..., '5'], stride: null }, 'decimal')
+ * @param {Object} token
+ * @param {String} kind The kind of number to read the token as
+ * @returns {Array}
+ */
+function findTokenProgressions(token: Object, kind: string): NumberProgression[] {
+  const digits = numberDigits[kind];
+  const { characters, stride } = token;
+  const length = characters.length;
+  const strideEnd = stride == null ? 0 : stride.end;
+  let end = length;
+
+  while (end > strideEnd && characters[end - 1].length === 1) end -= 1;
+
+  const scale = Math.pow(digits.length, length - end);
+  const constant = readSpanValue(characters.slice(end).join(""), digits);
+  const create = (low: number, high: number, step: number) => ({
+    kind,
+    length,
+    low: low * scale + constant,
+    high: high * scale + constant,
+    step: low === high ? 1 : step * scale
+  });
+
+  if (stride == null)
+    return findSpanIntervals(characters.slice(0, end), digits).map(([low, high]) => create(low, high, 1));
+
+  const isListed =
+    stride.digits !== digits || end !== stride.end || characters.slice(0, stride.start).some(x => x.length > 1);
+
+  if (isListed)
+    return findStrideValues(characters.slice(stride.start, stride.end), stride)
+      .map(x => findTokenProgressions({ ...token, characters: fixSpan(characters, stride, x), stride: null }, kind))
+      .reduce(flattenArrayOfValues, []);
+
+  const base =
+    readSpanValue(characters.slice(0, stride.start).join(""), digits) *
+    Math.pow(digits.length, stride.end - stride.start);
+
+  return findSpanIntervals(characters.slice(stride.start, stride.end), digits)
+    .map(([low, high]) => [
+      low + modulo(stride.remainder - low, stride.step),
+      high - modulo(high - stride.remainder, stride.step)
+    ])
+    .filter(([first, last]) => first <= last)
+    .map(([first, last]) => create(base + first, base + last, stride.step));
+}
+
+/**
+ * Folds terms sharing a format into a canonical list of terms, starting at the number at the position. The values
+ * of that number are split into pieces that are either wholly inside or wholly outside each term; pieces leading
+ * to the same terms for the following numbers are merged. The result only depends on the hostnames of the terms,
+ * not on how they are split into terms.
+ * @example
+ * // returns [[[{ first: '1', last: '4', step: 1, marker: '' }], [{ first: '1', last: '2', step: 1, marker: '' }]]]
+ * foldNumberTerms([[[{ kind: 'decimal', length: 1, low: 1, high: 2, step: 1 }], [{ ..., low: 1, high: 2 }]],
+ *   [[{ ..., low: 3, high: 4 }], [{ ..., low: 1, high: 2 }]]], 0)
+ * @param {Array} terms The numbers of each term
+ * @param {Number} position
+ * @returns {Array}
+ */
+export function foldNumberTerms(terms: NumberProgression[][][], position: number): NumberRun[][][] {
+  if (terms.length === 0) return [];
+  if (position === terms[0].length) return [[]];
+
+  const pieces = splitProgressions(terms.map(x => x[position]).reduce(flattenArrayOfValues, []));
+  const holders = pieces.map(() => []);
+
+  terms.forEach(term =>
+    term[position].forEach(progression => {
+      for (let index = findFirstPiece(pieces, progression); index < pieces.length; index += 1) {
+        const piece = pieces[index];
+        const holder = holders[index];
+
+        if (compareProgressions(piece, { ...progression, low: progression.high }) > 0) break;
+        if (containsProgression(progression, piece) && holder[holder.length - 1] !== term) holder.push(term);
+      }
+    })
+  );
+
+  return groupBy(pieces.map((piece, index) => ({ piece, rest: foldNumberTerms(holders[index], position + 1) })), x =>
+    JSON.stringify(x.rest)
+  )
+    .map(group => {
+      const numbers = arrangeNumbers(group.map(x => x.piece));
+
+      return group[0].rest.map(x => [numbers, ...x]);
+    })
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Finds the first piece that doesn't come before a progression
+ * @param {Array} pieces Ordered by compareProgressions
+ * @param {Object} progression
+ * @returns {Number} The number of pieces when every piece comes before the progression
+ */
+function findFirstPiece(pieces: NumberProgression[], progression: NumberProgression) {
+  let low = 0;
+  let high = pieces.length;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+
+    if (compareProgressions(pieces[middle], progression) < 0) low = middle + 1;
+    else high = middle;
+  }
+
+  return low;
+}
+
+/**
+ * Splits progressions of numbers into pieces that are either wholly inside or wholly outside each progression.
+ * The numbers are cut at the ends of every progression, and the numbers between two cuts, where the same
+ * progressions apply, are split by their remainder modulo the steps of those progressions.
+ * @example
+ * // returns [{ ..., low: 1, high: 3, step: 2 }, { ..., low: 2, high: 2, step: 1 }, { ..., low: 5, high: 9, step: 2 }]
+ * splitProgressions([{ kind: 'decimal', length: 1, low: 1, high: 9, step: 2 },
+ *   { kind: 'decimal', length: 1, low: 1, high: 3, step: 1 }])
+ * @param {Array} progressions
+ * @returns {Array} The pieces, ordered by kind, length and lowest number
+ */
+function splitProgressions(progressions: NumberProgression[]): NumberProgression[] {
+  return groupBy(progressions, x => `${x.kind}:${x.length}`)
+    .map(group =>
+      findSegments(group)
+        .map(({ high, period, firsts }) =>
+          firsts.map(first => {
+            const last = high - modulo(high - first, period);
+
+            return { ...group[0], low: first, high: last, step: first === last ? 1 : period };
+          })
+        )
+        .reduce(flattenArrayOfValues, [])
+    )
+    .reduce(flattenArrayOfValues, [])
+    .sort(compareProgressions);
+}
+
+/**
+ * Cuts the numbers of progressions at the ends of every progression. The same progressions apply to the numbers
+ * between two cuts, so whether a number belongs to them only depends on its remainder modulo their steps.
+ * @example
+ * // returns [{ low: 1, high: 1, period: 2, firsts: [1] }, { low: 2, high: 4, period: 2, firsts: [2, 3] },
+ * //   { low: 5, high: 5, period: 2, firsts: [5] }]
+ * findSegments([{ low: 1, high: 5, step: 2 }, { low: 2, high: 4, step: 2 }])
+ * @param {Array} progressions
+ * @returns {Array} Each segment holding numbers, with the first number of each remainder it holds, in order
+ */
+export function findSegments(progressions: Object[]) {
+  const cuts = progressions
+    .map(x => [x.low, x.high + 1])
+    .reduce(flattenArrayOfValues, [])
+    .sort((a, b) => a - b)
+    .filter((x, index, list) => index === 0 || x !== list[index - 1]);
+  const starting = progressions.slice().sort((a, b) => a.low - b.low);
+  let next = 0;
+  let applying = [];
+
+  return cuts
+    .slice(0, -1)
+    .map((low, index) => {
+      const high = cuts[index + 1] - 1;
+
+      // Progressions are cut at both ends, so each one either covers the numbers up to the next cut or has ended.
+      for (; next < starting.length && starting[next].low <= low; next += 1) applying.push(starting[next]);
+      applying = applying.filter(x => high <= x.high);
+
+      const period = applying.reduce((prev, x) => (prev / findGreatestCommonDivisor(prev, x.step)) * x.step, 1);
+      const firsts = applying
+        .map(x => fp.times(index => low + modulo(x.low + index * x.step - low, period))(period / x.step))
+        .reduce(flattenArrayOfValues, [])
+        .filter((x, index, list) => x <= high && list.indexOf(x) === index)
+        .sort((a, b) => a - b);
+
+      return { low, high, period, firsts };
+    })
+    .filter(x => x.firsts.length > 0);
+}
+
+/**
+ * Indicates if a progression of numbers holds all of another
+ * @param {Object} progression
+ * @param {Object} piece
+ * @returns {Boolean}
+ */
+function containsProgression(progression: NumberProgression, piece: NumberProgression) {
+  return (
+    progression.kind === piece.kind &&
+    progression.length === piece.length &&
+    progression.low <= piece.low &&
+    piece.high <= progression.high &&
+    modulo(piece.low - progression.low, progression.step) === 0 &&
+    (piece.low === piece.high || piece.step % progression.step === 0)
+  );
+}
+
+/**
+ * Orders progressions of numbers by kind, by the number of characters and then by value
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Number}
+ */
+function compareProgressions(a: NumberProgression, b: NumberProgression) {
+  const kinds = Object.keys(numberDigits);
+
+  return kinds.indexOf(a.kind) - kinds.indexOf(b.kind) || a.length - b.length || a.low - b.low;
+}
+
+/**
+ * Writes the numbers of pieces that don't overlap as the items of a range, in a canonical way. Runs of
+ * consecutive numbers become intervals, and the numbers left become strided items where three or more of them
+ * are evenly spaced. Numbers without padding form a single run across lengths.
+ * @example
+ * // returns [{ first: '1', last: '3', step: 1, marker: '' }, { first: '5', last: '11', step: 3, marker: '' }]
+ * arrangeNumbers([{ kind: 'decimal', length: 1, low: 1, high: 3, step: 1 },
+ *   { kind: 'decimal', length: 1, low: 5, high: 8, step: 3 },
+ *   { kind: 'decimal', length: 2, low: 11, high: 11, step: 1 }])
+ * @param {Array} pieces
+ * @returns {Array}
+ */
+function arrangeNumbers(pieces: NumberProgression[]): NumberRun[] {
+  return groupBy(pieces.slice().sort(compareProgressions), x => x.kind)
+    .map(group => {
+      const { kind } = group[0];
+      const radix = numberDigits[kind].length;
+      const isUnpadded = (x: Object) => x.length === 1 || x.value >= Math.pow(radix, x.length - 1);
+      // Numbers of different lengths only follow each other in a run starting without padding.
+      const findGap = (start: Object, a: Object, b: Object) =>
+        a.length === b.length || (isUnpadded(start) && isUnpadded(b)) ? b.value - a.value : NaN;
+      const { intervals, isolated } = findIntervals(mergePieces(group), findGap);
+
+      return intervals
+        .concat(findStridedRuns(isolated, findGap))
+        .sort((a, b) => a.first.length - b.first.length || a.first.value - b.first.value)
+        .map(x => writeNumberRuns(kind, x))
+        .reduce(flattenArrayOfValues, []);
+    })
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Merges pieces whose numbers interleave, which were split from the same numbers by their remainder, into a
+ * single progression when they are evenly spaced. Otherwise, their numbers are listed.
+ * @param {Array} pieces Pieces of a single kind, ordered by length and lowest number
+ * @returns {Array} Progressions that don't interleave, in order
+ */
+function mergePieces(pieces: NumberProgression[]): NumberProgression[] {
+  const clusters = [];
+  let reach = -Infinity;
+
+  pieces.forEach(x => {
+    const cluster = clusters[clusters.length - 1];
+
+    if (cluster != null && cluster[0].length === x.length && x.low <= reach) {
+      cluster.push(x);
+      reach = Math.max(reach, x.high);
+    } else {
+      clusters.push([x]);
+      reach = x.high;
+    }
+  });
+
+  return clusters
+    .map(cluster => {
+      if (cluster.length === 1) return cluster;
+
+      const lows = cluster.map(x => x.low).sort((a, b) => a - b);
+      const high = cluster.reduce((prev, x) => Math.max(prev, x.high), -Infinity);
+      const gap = lows[1] - lows[0];
+      const period = cluster[0].step;
+      const isEven =
+        cluster.every(x => x.step === period) &&
+        lows.every((x, index) => index === 0 || x - lows[index - 1] === gap) &&
+        gap * cluster.length === period;
+
+      if (isEven) return [{ ...cluster[0], low: lows[0], high, step: gap }];
+
+      return cluster
+        .map(x => fp.times(index => x.low + index * x.step)((x.high - x.low) / x.step + 1))
+        .reduce(flattenArrayOfValues, [])
+        .sort((a, b) => a - b)
+        .map(value => ({ ...cluster[0], low: value, high: value, step: 1 }));
+    })
+    .reduce(flattenArrayOfValues, []);
+}
+
+/**
+ * Finds the runs of consecutive numbers of progressions that don't interleave. Numbers that are not in such a run
+ * are left as progressions of their own.
+ * @param {Array} progressions Progressions of a single kind, in order
+ * @param {Function} findGap Finds the difference between two numbers following each other in a run
+ * @returns {Object} The intervals and the progressions of the numbers left, in order
+ */
+function findIntervals(progressions: NumberProgression[], findGap: Function) {
+  const intervals = [];
+  const isolated = [];
+  let current = null;
+
+  const close = () => {
+    if (current == null) return;
+    if (current.count > 1) intervals.push({ first: current.first, last: current.last, step: 1 });
+    else isolated.push({ first: current.first, last: current.first, step: 1 });
+    current = null;
+  };
+  const add = (element, count) => {
+    if (current != null && findGap(current.first, current.last, element.first) === 1) {
+      current = { ...current, last: element.last, count: current.count + count };
+    } else {
+      close();
+      current = { first: element.first, last: element.last, count };
+    }
+  };
+
+  progressions.forEach(x => {
+    const first = { length: x.length, value: x.low };
+    const last = { length: x.length, value: x.high };
+
+    if (x.step === 1) return add({ first, last }, x.high - x.low + 1);
+
+    add({ first, last: first }, 1);
+    close();
+
+    if (x.high - x.low > x.step)
+      isolated.push({
+        first: { length: x.length, value: x.low + x.step },
+        last: { length: x.length, value: x.high - x.step },
+        step: x.step
+      });
+
+    current = { first: last, last, count: 1 };
+  });
+  close();
+
+  return { intervals, isolated };
+}
+
+/**
+ * Finds the strided runs of numbers that are not in an interval. Starting from the lowest number, a run is made
+ * of the numbers following it while they are evenly spaced, and it needs three numbers; otherwise, the number
+ * stands on its own.
+ * @param {Array} isolated The numbers, as progressions of a single length in order
+ * @param {Function} findGap Finds the difference between two numbers following each other in a run
+ * @returns {Array}
+ */
+function findStridedRuns(isolated: Object[], findGap: Function) {
+  const runs = [];
+  const next = (cursor: Object) => {
+    const piece = isolated[cursor.index];
+
+    if (cursor.value + piece.step <= piece.last.value) return { ...cursor, value: cursor.value + piece.step };
+    if (cursor.index + 1 < isolated.length) return { ...isolated[cursor.index + 1].first, index: cursor.index + 1 };
+
+    return null;
+  };
+  let cursor = isolated.length > 0 ? { ...isolated[0].first, index: 0 } : null;
+
+  while (cursor != null) {
+    const start = cursor;
+    const second = next(start);
+    const third = second == null ? null : next(second);
+    const step = second == null ? NaN : findGap(start, start, second);
+
+    if (third == null || second == null || findGap(start, second, third) !== step) {
+      runs.push({ first: start, last: start, step: 1 });
+      cursor = second;
+      continue;
+    }
+
+    let last = third;
+
+    for (;;) {
+      const piece = isolated[last.index];
+      const end = piece.step === step ? { ...last, value: piece.last.value } : last;
+      const following = next(end);
+
+      last = end;
+
+      if (following == null || findGap(start, last, following) !== step) break;
+
+      last = following;
+    }
+
+    runs.push({ first: start, last, step });
+    cursor = next(last);
+  }
+
+  return runs;
+}
+
+/**
+ * Writes a run of numbers as an item. Uppercase hexadecimal items take their case from their ends, so a run that
+ * holds letters but has none at either end is split at its first number holding a letter.
+ * @param {String} kind
+ * @param {Object} run
+ * @returns {Array}
+ */
+function writeNumberRuns(kind: string, run: Object): NumberRun[] {
+  const digits = numberDigits[kind];
+  const write = ({ length, value }) => formatSpanValue(value, length, digits);
+  const first = write(run.first);
+  const last = write(run.last);
+  const marker = kind === "hex" || kind === "HEX" ? "0x" : "";
+
+  if (kind === "HEX" && first !== last && !/[A-F]/.test(first + last))
+    for (let value = run.first.value + run.step; value < run.last.value; value += run.step) {
+      const element = { length: Math.max(run.first.length, value.toString(16).length), value };
+
+      if (/[A-F]/.test(write(element)))
+        return [
+          { first, last: write({ ...element, value: value - run.step }), step: run.step, marker },
+          { first: write(element), last, step: run.step, marker }
+        ].map(x => (x.first === x.last ? { ...x, step: 1 } : x));
+    }
+
+  return [{ first, last, step: run.step, marker }];
+}
+
+/**
+ * Writes a set of numbers as a range, or as the number itself when there is only one.
+ * @example
+ * // returns '[7,09-11,20-150/10]'
+ * formatNumberSet([{ first: '7', last: '7', step: 1, marker: '' }, { first: '09', last: '11', step: 1, marker: '' },
+ *   { first: '20', last: '150', step: 10, marker: '' }])
+ * @param {Array} numbers
+ * @returns {String}
+ */
+export function formatNumberSet(numbers: NumberRun[]) {
+  if (numbers.length === 1 && numbers[0].first === numbers[0].last) return numbers[0].first;
+
+  return `[${numbers
+    .map(({ first, last, step, marker }) => {
+      if (first === last) return marker + first;
+
+      return `${marker}${first}-${marker}${last}${step > 1 ? `/${step}` : ""}`;
+    })
+    .join(",")}]`;
+}
@@ -0,0 +1,54 @@
+// @flow
+
+import {
+  createBlock,
+  intersectBlocks,
+  isBlockFilled,
+  isInBlock,
+  joinBlocks,
+  subtractBlocks,
+  sumBlockSizes,
+  unionBlocks
+} from "../source/blocks";
+
+import { describe, it, expect } from "./jasmine";
+
+const odd = { start: 0, end: 2, digits: "0123456789", step: 2, remainder: 1, isExcluded: false };
+
+describe("blocks", () => {
+  it("should count the hostnames of a block", () => {
+    expect(sumBlockSizes([createBlock(["o", "s", "s", "12", "0123456789"])])).toBe(20);
+  });
+
+  it("should count the hostnames of a block meeting a stride", () => {
+    expect(sumBlockSizes([createBlock(["0123456789", "0123456789"], [odd])])).toBe(50);
+  });
+
+  it("should count a union without counting shared hostnames twice", () => {
+    const blocks = unionBlocks([createBlock(["12", "0123456789"])], [createBlock(["23", "0123456789"])]);
+
+    expect(sumBlockSizes(blocks)).toBe(30);
+  });
+
+  it("should remove the hostnames of a block meeting a stride", () => {
+    const blocks = subtractBlocks(
+      [createBlock(["0123456789", "0123456789"])],
+      [createBlock(["01", "0123456789"], [odd])]
+    );
+
+    expect(sumBlockSizes(blocks)).toBe(90);
+    expect(blocks.some(x => isInBlock("13", x))).toBe(false);
+    expect(blocks.some(x => isInBlock("14", x))).toBe(true);
+  });
+
+  it("should find no hostnames between blocks of different lengths", () => {
+    expect(isBlockFilled(intersectBlocks(createBlock(["a"]), createBlock(["a", "b"])))).toBe(false);
+  });
+
+  it("should move the strides of a joined block", () => {
+    const block = joinBlocks(createBlock(["n"]), createBlock(["0123456789", "0123456789"], [odd]));
+
+    expect(isInBlock("n13", block)).toBe(true);
+    expect(isInBlock("n14", block)).toBe(false);
+  });
+});
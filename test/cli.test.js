@@ -0,0 +1,131 @@
+// @flow
+
+import { run } from "../source/cli";
+
+import { describe, it, expect } from "./jasmine";
+
+describe("cli", () => {
+  const runWith = (args: string[], stdin: string = "") => {
+    const output = { code: 0, stdout: "", stderr: "" };
+
+    output.code = run(args, {
+      read: () => stdin,
+      write: text => {
+        output.stdout += text;
+      },
+      writeError: text => {
+        output.stderr += text;
+      }
+    });
+
+    return output;
+  };
+
+  it("should expand an expression one host per line", () => {
+    expect(runWith(["expand", "oss[1-2],mds1"])).toEqual({ code: 0, stdout: "oss1\noss2\nmds1\n", stderr: "" });
+  });
+
+  it("should expand an expression as JSON", () => {
+    expect(runWith(["expand", "--json", "oss[1-2]"]).stdout).toEqual('{"expansion":["oss1","oss2"]}\n');
+  });
+
+  it("should join several expressions into a list", () => {
+    expect(runWith(["expand", "oss1", "oss2"]).stdout).toEqual("oss1\noss2\n");
+  });
+
+  it("should fold hostnames read on stdin", () => {
+    expect(runWith(["fold"], "oss1\noss2\n\noss3\n")).toEqual({ code: 0, stdout: "oss[1-3]\n", stderr: "" });
+  });
+
+  it("should fold hostnames across all of their numbers", () => {
+    expect(runWith(["fold"], "rack1-node1\nrack1-node2\nrack2-node1\nrack2-node2\nrack2-node2\n").stdout).toEqual(
+      "rack[1-2]-node[1-2]\n"
+    );
+  });
+
+  it("should fold more hostnames than the cap without parsing them", () => {
+    const hostnames = Array.from({ length: 60000 }, (x, index) => `node${index + 1}`);
+
+    expect(runWith(["fold"], hostnames.join("\n"))).toEqual({ code: 0, stdout: "node[1-60000]\n", stderr: "" });
+  });
+
+  it("should print the error of hostnames that can't be folded", () => {
+    expect(runWith(["fold"], "a!b\nc&d\n")).toEqual({
+      code: 1,
+      stdout: "",
+      stderr: "pdsh-parser: Hostname a!b can't be written in an expression.\n"
+    });
+  });
+
+  it("should fold hostnames as JSON", () => {
+    expect(runWith(["fold", "--json"], "oss1\noss2\n").stdout).toEqual('{"expression":"oss[1-2]"}\n');
+  });
+
+  it("should count the hosts of an expression", () => {
+    expect(runWith(["count", "oss[1-10],mds[1-2]"]).stdout).toEqual("12\n");
+  });
+
+  it("should count the hosts of an expression as JSON", () => {
+    expect(runWith(["count", "--json", "oss[1-10]"]).stdout).toEqual('{"count":10}\n');
+  });
+
+  it("should check a valid expression", () => {
+    expect(runWith(["check", "oss[1-10]"])).toEqual({ code: 0, stdout: "", stderr: "" });
+  });
+
+  it("should print the errors of an invalid expression", () => {
+    expect(runWith(["check", "oss[1-"])).toEqual({
+      code: 1,
+      stdout: "",
+      stderr: "3-4 oss[1-: Expression is invalid\n"
+    });
+  });
+
+  it("should print the errors of an invalid expression as JSON", () => {
+    const output = runWith(["check", "--json", "oss[1-"]);
+
+    expect(output.code).toEqual(1);
+    expect(JSON.parse(output.stdout)).toEqual({
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 3, end: 4, expression: "oss[1-" }]
+    });
+  });
+
+  it("should print the errors of an expression over the cap", () => {
+    expect(runWith(["expand", "--cap", "5", "oss[1-10]"])).toEqual({
+      code: 1,
+      stdout: "",
+      stderr: "0-9 oss[1-10]: The hostlist cannot contain more than 5 entries.\n"
+    });
+  });
+
+  it("should expand past the default cap with an Infinity cap", () => {
+    expect(runWith(["expand", "--cap", "Infinity", "oss[1-60000]"]).stdout.split("\n").length).toEqual(60001);
+  });
+
+  it("should count past the cap without expanding", () => {
+    expect(runWith(["count", "oss[1-1000000],oss[500001-1500000]"]).stdout).toEqual("1500000\n");
+  });
+
+  it("should print the usage for --help", () => {
+    expect(runWith(["--help"]).stdout).toMatch(/^Usage: pdsh-parser/);
+  });
+
+  it("should print the usage for an unknown command", () => {
+    const output = runWith(["shrink", "oss1"]);
+
+    expect(output.code).toEqual(2);
+    expect(output.stderr).toMatch(/^Usage: pdsh-parser/);
+  });
+
+  it("should expand in the order the expression is written in", () => {
+    expect(runWith(["expand", "--order", "input", "node[3-1]"]).stdout).toEqual("node3\nnode2\nnode1\n");
+  });
+
+  it("should print the usage for an unknown order", () => {
+    expect(runWith(["expand", "--order", "reverse", "node1"]).code).toEqual(2);
+  });
+
+  it("should print the usage for an invalid cap", () => {
+    expect(runWith(["expand", "--cap", "many", "oss1"]).code).toEqual(2);
+  });
+});
@@ -0,0 +1,22 @@
+// @flow
+
+import path from "path";
+import { parseWcoll, readFile } from "../source/files";
+
+import { describe, it, expect } from "./jasmine";
+
+describe("files", () => {
+  const file = path.join(__dirname, "fixtures", "hosts");
+
+  it("should read a file from the local disk", () => {
+    expect(readFile(file)).toEqual("# Lustre servers\nmds[1-2]\noss[1-4]   # the first rack\n");
+  });
+
+  it("should parse the hosts of the file named by WCOLL", () => {
+    expect(parseWcoll({ outputs: ["sections"] }, { WCOLL: file })).toEqual({ sections: ["mds1..2", "oss1..4"] });
+  });
+
+  it("should throw when WCOLL is not set", () => {
+    expect(() => parseWcoll({}, {})).toThrow(new Error("WCOLL is not set."));
+  });
+});
@@ -0,0 +1,97 @@
+// @flow
+
+import path from "path";
+import { createParser } from "../source/";
+import { parseGenders, readGenders } from "../source/genders";
+
+import { describe, it, expect } from "./jasmine";
+
+describe("parseGenders", () => {
+  it("should parse the hosts and their attributes", () => {
+    expect(parseGenders("# servers\nmds1 mds,role=mds\noss[1-2]  oss\n\nclient1\n")).toEqual([
+      { hostname: "mds1", attributes: { mds: null, role: "mds" } },
+      { hostname: "oss1", attributes: { oss: null } },
+      { hostname: "oss2", attributes: { oss: null } },
+      { hostname: "client1", attributes: {} }
+    ]);
+  });
+
+  it("should merge the attributes of hosts named on several lines", () => {
+    expect(parseGenders("oss1 oss\noss1 rack=3")).toEqual([{ hostname: "oss1", attributes: { oss: null, rack: "3" } }]);
+  });
+
+  it("should throw every malformed line", () => {
+    let error: Object = {};
+
+    try {
+      parseGenders("oss1 oss\noss2 oss extra\noss[1-] oss\noss3 role==oss\n");
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.errors).toEqual(
+      [2, 3, 4].map(line => ({
+        code: "GENDERS_LINE_NOT_PROPER_FORMAT",
+        message: `Line ${line} of the genders database is not in the proper format.`,
+        line,
+        text: ["oss2 oss extra", "oss[1-] oss", "oss3 role==oss"][line - 2]
+      }))
+    );
+  });
+});
+
+describe("readGenders", () => {
+  const genders = readGenders(path.join(__dirname, "fixtures", "genders"));
+  const parse = (expression): Object => createParser({ genders, outputs: ["expansion"] }).parse(expression);
+
+  it("should select the hosts having an attribute", () => {
+    expect(parse("%mds")).toEqual({ expansion: ["mds1", "mds2"] });
+  });
+
+  it("should select the hosts matching every condition", () => {
+    expect(parse("%role=oss&&rack=4")).toEqual({ expansion: ["oss5", "oss6", "oss7", "oss8"] });
+  });
+
+  it("should select the hosts matching either side of ||", () => {
+    expect(parse("%rack=1||primary")).toEqual({ expansion: ["mds1", "mds2", "oss1"] });
+  });
+
+  it("should combine queries with ranges", () => {
+    expect(parse("%mds,client1,oss[9-10]")).toEqual({ expansion: ["mds1", "mds2", "client1", "oss9", "oss10"] });
+  });
+
+  it("should combine queries with set operators", () => {
+    expect(parse("%oss!oss[2-7]")).toEqual({ expansion: ["oss1", "oss8"] });
+  });
+
+  it("should check queries for duplicates", () => {
+    expect(parse("%oss,oss1").errors.map(x => x.code)).toEqual(["DUPLICATE_EXPANSION"]);
+  });
+
+  it("should return an error for a query matching no host", () => {
+    expect(parse("oss1,%gpu")).toEqual({
+      errors: [
+        {
+          code: "QUERY_EMPTY",
+          message: "Query %gpu does not match any host.",
+          start: 5,
+          end: 9,
+          expression: "%gpu",
+          query: "%gpu"
+        }
+      ]
+    });
+  });
+
+  it("should return an error for a query without a database", () => {
+    expect(
+      createParser()
+        .parse("%mds")
+        .errors.map(x => x.code)
+    ).toEqual(["QUERY_EMPTY"]);
+  });
+
+  it("should return an error for a query that is not in the proper format", () => {
+    expect(parse("%oss&&").errors.map(x => x.code)).toEqual(["QUERY_NOT_PROPER_FORMAT"]);
+  });
+});
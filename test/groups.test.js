@@ -0,0 +1,39 @@
+// @flow
+
+import path from "path";
+import { createParser } from "../source/";
+import { createYamlResolver } from "../source/groups";
+
+import { describe, it, expect } from "./jasmine";
+
+describe("createYamlResolver", () => {
+  const file = path.join(__dirname, "fixtures", "groups.yaml");
+
+  it("should resolve groups of the first source without naming it", () => {
+    expect(createYamlResolver(file)("oss")).toEqual("oss[1-8]");
+  });
+
+  it("should resolve groups naming their source", () => {
+    expect(createYamlResolver(file)("rack1", "racks")).toEqual("oss[1-4],mds1");
+  });
+
+  it("should join the members of a list", () => {
+    expect(createYamlResolver(file)("mds")).toEqual("mds1,mds2");
+  });
+
+  it("should use the default source passed in", () => {
+    const resolveGroup = createYamlResolver(file, "racks");
+
+    expect([resolveGroup("rack1"), resolveGroup("oss")]).toEqual(["oss[1-4],mds1", undefined]);
+  });
+
+  it("should resolve groups referencing other groups when parsing", () => {
+    const parser = createParser({ groups: createYamlResolver(file), outputs: ["sections"] });
+
+    expect(parser.parse("@servers")).toEqual({ sections: ["oss1..8", "mds1", "mds2"] });
+  });
+
+  it("should throw when the file does not exist", () => {
+    expect(() => createYamlResolver(path.join(__dirname, "fixtures", "missing.yaml"))).toThrow();
+  });
+});
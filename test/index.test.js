@@ -1,6 +1,20 @@
 // @flow
 
-import parser from "../source/";
+import parser, {
+  compareHostnames,
+  compress,
+  contains,
+  count,
+  createParser,
+  createStaticResolver,
+  equals,
+  fingerprint,
+  fold,
+  iterate,
+  normalize,
+  nth,
+  slice
+} from "../source/";
 
 import { describe, it, expect } from "./jasmine";
 
@@ -14,6 +28,19 @@ const range = (start: number, end: number): number[] => {
 
 describe("pdsh parser", function() {
   const nameWithId = (name: string) => (id: number) => name.replace(/\%s/, id.toString());
+  const duplicateWarning = (hostname: string, expressions: string[], start: number) => {
+    const expression = expressions[expressions.length - 1];
+
+    return {
+      code: "DUPLICATE_EXPANSION",
+      message: `Expression ${expression} matches previous expansion of ${hostname} generated by ${expressions[0]}`,
+      start,
+      end: start + expression.length,
+      expression,
+      hostname,
+      expressions
+    };
+  };
 
   const idInObject = (name: string) => (obj: Object, id: number) => {
     obj[nameWithId(name)(id)] = 1;
@@ -184,9 +211,10 @@ describe("pdsh parser", function() {
       }
     },
     // Single range per hostname in which the difference between ranges is clearly 1 so they can be combined. A
-    // duplicate was also added here to verify that it is removed.
+    // duplicate was also added here to verify that it is removed and reported.
     {
       expression: "hostname[2,6,7].iml.com,hostname[10,11-12,2-4,5].iml.com, hostname[15-17].iml.com",
+      options: { duplicates: "dedupe" },
       expanded: {
         expansion: [
           "hostname2.iml.com",
@@ -216,12 +244,16 @@ describe("pdsh parser", function() {
           "hostname15.iml.com": 1,
           "hostname16.iml.com": 1,
           "hostname17.iml.com": 1
-        }
+        },
+        warnings: [
+          duplicateWarning("hostname2.iml.com", ["hostname[2,6,7].iml.com", "hostname[10,11-12,2-4,5].iml.com"], 24)
+        ]
       }
     },
     // Multiple ranges per hostname in which the difference is 1 (first item is the same) using the same range format
     {
       expression: "hostname[1,2-3].iml[2,3].com,hostname[3,4,5].iml[2,3].com,hostname[5-6,7].iml[2,3].com",
+      options: { duplicates: "dedupe" },
       expanded: {
         expansion: [
           "hostname1.iml2.com",
@@ -255,13 +287,22 @@ describe("pdsh parser", function() {
           "hostname6.iml3.com": 1,
           "hostname7.iml2.com": 1,
           "hostname7.iml3.com": 1
-        }
+        },
+        warnings: [
+          ...["hostname3.iml2.com", "hostname3.iml3.com"].map(x =>
+            duplicateWarning(x, ["hostname[1,2-3].iml[2,3].com", "hostname[3,4,5].iml[2,3].com"], 29)
+          ),
+          ...["hostname5.iml2.com", "hostname5.iml3.com"].map(x =>
+            duplicateWarning(x, ["hostname[3,4,5].iml[2,3].com", "hostname[5-6,7].iml[2,3].com"], 58)
+          )
+        ]
       }
     },
     // Multiple ranges per hostname in which the difference is 1 (second item is the same) using two formats that
     // when expanded are equal
     {
       expression: "hostname[1,2-3].iml[2,3].com,hostname[1,2,3].iml[2,4].com",
+      options: { duplicates: "dedupe" },
       expanded: {
         expansion: [
           "hostname1.iml2.com",
@@ -285,7 +326,10 @@ describe("pdsh parser", function() {
           "hostname3.iml2.com": 1,
           "hostname3.iml3.com": 1,
           "hostname3.iml4.com": 1
-        }
+        },
+        warnings: ["hostname1.iml2.com", "hostname2.iml2.com", "hostname3.iml2.com"].map(x =>
+          duplicateWarning(x, ["hostname[1,2-3].iml[2,3].com", "hostname[1,2,3].iml[2,4].com"], 29)
+        )
       }
     },
     // Multiple ranges per hostname in which the difference is > 1
@@ -323,7 +367,16 @@ describe("pdsh parser", function() {
     {
       expression: "hostname[9-0011]",
       expanded: {
-        errors: ["Number of digits must be consistent across padded entries"]
+        errors: [
+          {
+            code: "INCONSISTENT_DIGITS",
+            message: "Number of digits must be consistent across padded entries",
+            start: 8,
+            end: 16,
+            expression: "hostname[9-0011]",
+            range: "9-0011"
+          }
+        ]
       }
     },
     // Duplicate occurring when the difference between ranges is > 1. In this case, the duplicate
@@ -332,8 +385,17 @@ describe("pdsh parser", function() {
       expression: "hostname[1,2-3].iml[2,3].com,hostname[3,4,5].iml[3,4].com",
       expanded: {
         errors: [
-          "Expression hostname[3,4,5].iml[3,4].com matches previous expansion of hostname3.iml3.com generated" +
-            " by hostname[1,2-3].iml[2,3].com"
+          {
+            code: "DUPLICATE_EXPANSION",
+            message:
+              "Expression hostname[3,4,5].iml[3,4].com matches previous expansion of hostname3.iml3.com generated" +
+              " by hostname[1,2-3].iml[2,3].com",
+            start: 29,
+            end: 57,
+            expression: "hostname[3,4,5].iml[3,4].com",
+            hostname: "hostname3.iml3.com",
+            expressions: ["hostname[1,2-3].iml[2,3].com", "hostname[3,4,5].iml[3,4].com"]
+          }
         ]
       }
     },
@@ -341,7 +403,18 @@ describe("pdsh parser", function() {
     {
       expression: "hostname4.iml.com,hostname4.iml.com",
       expanded: {
-        errors: ["Expression  matches previous expansion of hostname4.iml.com generated by hostname4.iml.com"]
+        errors: [
+          {
+            code: "DUPLICATE_EXPANSION",
+            message:
+              "Expression hostname4.iml.com matches previous expansion of hostname4.iml.com generated by hostname4.iml.com",
+            start: 18,
+            end: 35,
+            expression: "hostname4.iml.com",
+            hostname: "hostname4.iml.com",
+            expressions: ["hostname4.iml.com", "hostname4.iml.com"]
+          }
+        ]
       }
     },
     // Single item with single range and additional characters after range
@@ -421,6 +494,7 @@ describe("pdsh parser", function() {
     // combined.
     {
       expression: "hostname[2,6,7].iml.com,hostname[10,11-12,2-3,5].iml.com, hostname[15-17].iml.com",
+      options: { duplicates: "dedupe" },
       expanded: {
         expansion: [
           "hostname2.iml.com",
@@ -448,7 +522,10 @@ describe("pdsh parser", function() {
           "hostname15.iml.com": 1,
           "hostname16.iml.com": 1,
           "hostname17.iml.com": 1
-        }
+        },
+        warnings: [
+          duplicateWarning("hostname2.iml.com", ["hostname[2,6,7].iml.com", "hostname[10,11-12,2-3,5].iml.com"], 24)
+        ]
       }
     },
     // Padding with a single and double digit number
@@ -470,107 +547,1991 @@ describe("pdsh parser", function() {
     {
       expression: "test[00☃-002].localdomain",
       expanded: {
-        errors: ["Range is not in the proper format."]
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 4,
+            end: 13,
+            expression: "test[00☃-002].localdomain",
+            range: "00☃-002"
+          }
+        ]
       }
     },
     // Empty expression
     {
       expression: "",
       expanded: {
-        errors: ["Expression cannot be empty."]
+        errors: [{ code: "EXPRESSION_EMPTY", message: "Expression cannot be empty.", start: 0, end: 0, expression: "" }]
       }
     },
     // No separation between comma's
     {
       expression: "hostname[1,,2].iml.com",
       expanded: {
-        errors: ["Range is not in the proper format."]
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 8,
+            end: 14,
+            expression: "hostname[1,,2].iml.com",
+            range: "1,,2"
+          }
+        ]
       }
     },
     // No separation between dashes
     {
       expression: "hostname[1--2].iml.com",
       expanded: {
-        errors: ["Range is not in the proper format."]
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 8,
+            end: 14,
+            expression: "hostname[1--2].iml.com",
+            range: "1--2"
+          }
+        ]
       }
     },
     // No separation between dash and comma
     {
       expression: "hostname[1-,2].iml.com",
       expanded: {
-        errors: ["Range is not in the proper format."]
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 8,
+            end: 14,
+            expression: "hostname[1-,2].iml.com",
+            range: "1-,2"
+          }
+        ]
       }
     },
     // No separation between comma and dash
     {
       expression: "hostname[1,-2].iml.com",
       expanded: {
-        errors: ["Range is not in the proper format."]
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 8,
+            end: 14,
+            expression: "hostname[1,-2].iml.com",
+            range: "1,-2"
+          }
+        ]
       }
     },
     // Missing closing brace
     {
       expression: "hostname[1",
       expanded: {
-        errors: ["Expression is invalid"]
+        errors: [
+          { code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 8, end: 9, expression: "hostname[1" }
+        ]
       }
     },
     // Ending an expression with a comma
     {
       expression: "hostname[1],",
       expanded: {
-        errors: ["Expression is invalid"]
+        errors: [
+          {
+            code: "EXPRESSION_INVALID",
+            message: "Expression is invalid",
+            start: 11,
+            end: 12,
+            expression: "hostname[1]"
+          }
+        ]
       }
     },
     // Beginning and ending prefixes that don't match with two single digit numbers
     {
       expression: "hostname[01-009]",
       expanded: {
-        errors: ["Number of digits must be consistent across padded entries"]
+        errors: [
+          {
+            code: "INCONSISTENT_DIGITS",
+            message: "Number of digits must be consistent across padded entries",
+            start: 8,
+            end: 16,
+            expression: "hostname[01-009]",
+            range: "01-009"
+          }
+        ]
       }
     },
     // Having a closing brace before an opening brace
     {
       expression: "hostname]00[asdf",
       expanded: {
-        errors: ["Expression is invalid"]
+        errors: [
+          {
+            code: "EXPRESSION_INVALID",
+            message: "Expression is invalid",
+            start: 8,
+            end: 9,
+            expression: "hostname]00[asdf"
+          },
+          {
+            code: "EXPRESSION_INVALID",
+            message: "Expression is invalid",
+            start: 11,
+            end: 12,
+            expression: "hostname]00[asdf"
+          }
+        ]
+      }
+    },
+    // Every problem in the expression is reported with its location
+    {
+      expression: "a[1, #], b[2-3] ,c[01-9],, d[1,2]",
+      expanded: {
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 1,
+            end: 7,
+            expression: "a[1,#]",
+            range: "1,#"
+          },
+          {
+            code: "INCONSISTENT_DIGITS",
+            message: "Number of digits must be consistent across padded entries",
+            start: 18,
+            end: 24,
+            expression: "c[01-9]",
+            range: "01-9"
+          },
+          {
+            code: "EXPRESSION_EMPTY",
+            message: "Expression cannot be empty.",
+            start: 25,
+            end: 25,
+            expression: ""
+          }
+        ]
       }
     },
     // Going over cap
     {
       expression: "hostname[1-50001].iml.com",
       expanded: {
-        errors: ["The hostlist cannot contain more than 50000 entries."]
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 25,
+            expression: "hostname[1-50001].iml.com"
+          }
+        ]
       }
     },
     // Going over cap using multiple ranges in a single expression
     {
       expression: "hostname[1-25001].iml[1-2].com",
       expanded: {
-        errors: ["The hostlist cannot contain more than 50000 entries."]
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 30,
+            expression: "hostname[1-25001].iml[1-2].com"
+          }
+        ]
       }
     },
     // Going over cap using multiple ranges in multiple expressions
     {
       expression: "hostname[1-20000].iml[1-2].com,host[1-10001].iml[1].com",
       expanded: {
-        errors: ["The hostlist cannot contain more than 50000 entries."]
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 55,
+            expression: "hostname[1-20000].iml[1-2].com,host[1-10001].iml[1].com"
+          }
+        ]
       }
     },
     // Going over cap so far that it could freeze the browser
     {
       expression: "hostname[1-5000000000000000000000001].iml.com",
       expanded: {
-        errors: ["The hostlist cannot contain more than 50000 entries."]
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 45,
+            expression: "hostname[1-5000000000000000000000001].iml.com"
+          }
+        ]
+      }
+    },
+    // Stepped range
+    {
+      expression: "node[1-10/2]",
+      expanded: {
+        expansion: ["node1", "node3", "node5", "node7", "node9"],
+        sections: ["node1..9/2"],
+        expansionHash: { node1: 1, node3: 1, node5: 1, node7: 1, node9: 1 }
+      }
+    },
+    // Stepped range with padded endpoints
+    {
+      expression: "rack[00-30/10]-slot[1-2]",
+      expanded: {
+        expansion: [
+          "rack00-slot1",
+          "rack00-slot2",
+          "rack10-slot1",
+          "rack10-slot2",
+          "rack20-slot1",
+          "rack20-slot2",
+          "rack30-slot1",
+          "rack30-slot2"
+        ],
+        sections: ["rack00..30/10-slot1..2"],
+        expansionHash: {
+          "rack00-slot1": 1,
+          "rack00-slot2": 1,
+          "rack10-slot1": 1,
+          "rack10-slot2": 1,
+          "rack20-slot1": 1,
+          "rack20-slot2": 1,
+          "rack30-slot1": 1,
+          "rack30-slot2": 1
+        }
+      }
+    },
+    // Interleaved stepped ranges are produced in order
+    {
+      expression: "node[2-6/2],node[1-5/2]",
+      expanded: {
+        expansion: ["node1", "node2", "node3", "node4", "node5", "node6"],
+        sections: ["node1..6"],
+        expansionHash: { node1: 1, node2: 1, node3: 1, node4: 1, node5: 1, node6: 1 }
+      }
+    },
+    // Ranges padded differently are not merged
+    {
+      expression: "n[01-03],n[1-3]",
+      expanded: {
+        expansion: ["n01", "n02", "n03", "n1", "n2", "n3"],
+        sections: ["n01..03", "n1..3"],
+        expansionHash: { n01: 1, n02: 1, n03: 1, n1: 1, n2: 1, n3: 1 }
+      }
+    },
+    // A padded number is not in the same section as an unpadded number that follows it
+    {
+      expression: "n[01-03,4-5]",
+      expanded: {
+        expansion: ["n01", "n02", "n03", "n4", "n5"],
+        sections: ["n01..03", "n4..5"],
+        expansionHash: { n01: 1, n02: 1, n03: 1, n4: 1, n5: 1 }
+      }
+    },
+    // A stride must be at least 1
+    {
+      expression: "node[1-10/0]",
+      expanded: {
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 4,
+            end: 12,
+            expression: "node[1-10/0]",
+            range: "1-10/0"
+          }
+        ]
+      }
+    },
+    // The stride is counted against the cap
+    {
+      expression: "hostname[1-100002/2]",
+      expanded: {
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 20,
+            expression: "hostname[1-100002/2]"
+          }
+        ]
+      }
+    },
+    // Alternation is a dimension alongside ranges and is folded in sections
+    {
+      expression: "node[1-2]-{ib0,eth0}",
+      expanded: {
+        expansion: ["node1-ib0", "node1-eth0", "node2-ib0", "node2-eth0"],
+        sections: ["node1..2-{ib0,eth0}"],
+        expansionHash: { "node1-ib0": 1, "node1-eth0": 1, "node2-ib0": 1, "node2-eth0": 1 }
+      }
+    },
+    // Alternation with an empty alternative and a repeated alternative
+    {
+      expression: "oss1{,-bmc,}",
+      expanded: {
+        expansion: ["oss1", "oss1-bmc"],
+        sections: ["oss1{,-bmc}"],
+        expansionHash: { oss1: 1, "oss1-bmc": 1 }
+      }
+    },
+    // Expressions with the same alternation are combined
+    {
+      expression: "node[1-2]-{ib0,eth0}, node[3]-{ib0,eth0}",
+      expanded: {
+        expansion: ["node1-ib0", "node1-eth0", "node2-ib0", "node2-eth0", "node3-ib0", "node3-eth0"],
+        sections: ["node1..3-{ib0,eth0}"],
+        expansionHash: {
+          "node1-ib0": 1,
+          "node1-eth0": 1,
+          "node2-ib0": 1,
+          "node2-eth0": 1,
+          "node3-ib0": 1,
+          "node3-eth0": 1
+        }
+      }
+    },
+    {
+      expression: "node{ib0,eth0]",
+      expanded: {
+        errors: [
+          {
+            code: "EXPRESSION_INVALID",
+            message: "Expression is invalid",
+            start: 4,
+            end: 5,
+            expression: "node{ib0,eth0]"
+          },
+          {
+            code: "EXPRESSION_INVALID",
+            message: "Expression is invalid",
+            start: 13,
+            end: 14,
+            expression: "node{ib0,eth0]"
+          }
+        ]
+      }
+    },
+    {
+      expression: "node{ib0,[1-2]}",
+      expanded: {
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 4,
+            end: 15,
+            expression: "node{ib0,[1-2]}",
+            range: "ib0,[1-2]"
+          }
+        ]
+      }
+    },
+    // Alternatives are counted against the cap
+    {
+      expression: "node[1-25000]-{ib0,eth0,bmc}",
+      expanded: {
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 28,
+            expression: "node[1-25000]-{ib0,eth0,bmc}"
+          }
+        ]
+      }
+    },
+    // Alphabetic range
+    {
+      expression: "rack[b-d,f]",
+      expanded: {
+        expansion: ["rackb", "rackc", "rackd", "rackf"],
+        sections: ["rackb..d", "rackf"],
+        expansionHash: { rackb: 1, rackc: 1, rackd: 1, rackf: 1 }
+      }
+    },
+    // Multi-letter alphabetic range
+    {
+      expression: "chassis[y-ab]",
+      expanded: {
+        expansion: ["chassisy", "chassisz", "chassisaa", "chassisab"],
+        sections: ["chassisy..ab"],
+        expansionHash: { chassisy: 1, chassisz: 1, chassisaa: 1, chassisab: 1 }
+      }
+    },
+    // Alphabetic range preserving case alongside a numeric range
+    {
+      expression: "rack[B-C]-node[1-2]",
+      expanded: {
+        expansion: ["rackB-node1", "rackB-node2", "rackC-node1", "rackC-node2"],
+        sections: ["rackB..C-node1..2"],
+        expansionHash: { "rackB-node1": 1, "rackB-node2": 1, "rackC-node1": 1, "rackC-node2": 1 }
+      }
+    },
+    // The ends of an alphabetic range must have the same case
+    {
+      expression: "rack[a-F]",
+      expanded: {
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 4,
+            end: 9,
+            expression: "rack[a-F]",
+            range: "a-F"
+          }
+        ]
+      }
+    },
+    // Letters are counted against the cap
+    {
+      expression: "rack[a-z]-node[1-2000]",
+      expanded: {
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 22,
+            expression: "rack[a-z]-node[1-2000]"
+          }
+        ]
+      }
+    },
+    // Hexadecimal range crossing a digit boundary
+    {
+      expression: "lfs-OST[0x0008-0x000b]",
+      expanded: {
+        expansion: ["lfs-OST0008", "lfs-OST0009", "lfs-OST000a", "lfs-OST000b"],
+        sections: ["lfs-OST0008..000b"],
+        expansionHash: { "lfs-OST0008": 1, "lfs-OST0009": 1, "lfs-OST000a": 1, "lfs-OST000b": 1 }
+      }
+    },
+    // Uppercase hexadecimal range with a stride
+    {
+      expression: "lfs-MDT[0x0000-0x001E/15]",
+      expanded: {
+        expansion: ["lfs-MDT0000", "lfs-MDT000F", "lfs-MDT001E"],
+        sections: ["lfs-MDT0000..001E/15"],
+        expansionHash: { "lfs-MDT0000": 1, "lfs-MDT000F": 1, "lfs-MDT001E": 1 }
+      }
+    },
+    // The digits of a hexadecimal range must have the same case
+    {
+      expression: "lfs-OST[0x000a-0x000F]",
+      expanded: {
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 7,
+            end: 22,
+            expression: "lfs-OST[0x000a-0x000F]",
+            range: "0x000a-0x000F"
+          }
+        ]
+      }
+    },
+    // Hexadecimal values are counted against the cap
+    {
+      expression: "lfs-OST[0x0000-0xffff]",
+      expanded: {
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 50000 entries.",
+            start: 0,
+            end: 22,
+            expression: "lfs-OST[0x0000-0xffff]"
+          }
+        ]
       }
     }
   ];
 
-  tests.forEach(test => {
+  tests.forEach((test: Object) => {
     it(`should return the correct expression ${test.expression}`, () => {
-      const result = parser(test.expression);
+      const result = parser(test.expression, test.options);
 
       expect(result).toEqual(test.expanded);
     });
   });
 });
+
+describe("createParser", () => {
+  it("should parse the same way as the default export", () => {
+    const expression = "hostname[1,2]-[3-4].iml.com, hostname[1-,2]";
+
+    expect(createParser().parse(expression)).toEqual(parser(expression));
+  });
+
+  it("should not change results returned by earlier calls", () => {
+    const { parse } = createParser();
+    const first = parse("hostname[1-2]");
+
+    parse("hostname[1-2],hostname2");
+    parse("hostname[3-4]");
+
+    expect(first).toEqual({
+      expansion: ["hostname1", "hostname2"],
+      sections: ["hostname1..2"],
+      expansionHash: { hostname1: 1, hostname2: 1 }
+    });
+  });
+
+  it("should not carry state between parsers", () => {
+    const a = createParser();
+    const b = createParser();
+
+    a.parse("hostname[1-2]-[1-3]");
+
+    expect(b.parse("hostname[3]-[1-3]")).toEqual({
+      expansion: ["hostname3-1", "hostname3-2", "hostname3-3"],
+      sections: ["hostname3-1..3"],
+      expansionHash: { "hostname3-1": 1, "hostname3-2": 1, "hostname3-3": 1 }
+    });
+  });
+
+  describe("with options", () => {
+    it("should use the cap passed in", () => {
+      expect(parser("hostname[1-101]", { cap: 100 })).toEqual({
+        errors: [
+          {
+            code: "EXPRESSION_OVER_CAP",
+            message: "The hostlist cannot contain more than 100 entries.",
+            start: 0,
+            end: 15,
+            expression: "hostname[1-101]"
+          }
+        ]
+      });
+    });
+
+    it("should allow up to the cap passed in", () => {
+      const result: Object = createParser({ cap: 100 }).parse("hostname[1-100]");
+
+      expect(result.expansion.length).toBe(100);
+    });
+
+    it("should not limit the expansion when the cap is Infinity", () => {
+      const result: Object = parser("hostname[1-50001]", { cap: Infinity });
+
+      expect(result.expansion.length).toBe(50001);
+    });
+
+    it("should only return the sections when they are the only output", () => {
+      expect(parser("hostname[1-3],host5", { outputs: ["sections"] })).toEqual({
+        sections: ["hostname1..3", "host5"]
+      });
+    });
+
+    it("should only return the expansion and hash when they are the outputs", () => {
+      expect(parser("hostname[1-2]", { outputs: ["expansion", "expansionHash"] })).toEqual({
+        expansion: ["hostname1", "hostname2"],
+        expansionHash: { hostname1: 1, hostname2: 1 }
+      });
+    });
+
+    it("should report duplicates when the expansion is not an output", () => {
+      expect(parser("hostname[1-3],hostname2", { outputs: ["sections"] })).toEqual(parser("hostname[1-3],hostname2"));
+    });
+
+    it("should report duplicates of large ranges when the expansion is not an output", () => {
+      expect(parser("oss[1-100],oss[50-60]", { outputs: ["sections"] })).toEqual(parser("oss[1-100],oss[50-60]"));
+
+      const result: Object = parser("oss[1-100],oss[50-60]", { outputs: ["sections"], duplicates: "dedupe" });
+      const expected: Object = parser("oss[1-100],oss[50-60]", { duplicates: "dedupe" });
+
+      expect(result.sections).toEqual(["oss1..100"]);
+      expect(result.warnings).toEqual(expected.warnings);
+    });
+
+    it("should find the sections of large ranges that don't repeat hostnames", () => {
+      expect(parser("oss[1-100],mds[1-100],oss[101-200]", { outputs: ["sections"] })).toEqual({
+        sections: ["oss1..200", "mds1..100"]
+      });
+    });
+
+    [-1, 1.5, NaN].forEach(cap => {
+      it(`should throw for a cap of ${cap}`, () => {
+        expect(() => createParser({ cap })).toThrow("Cap must be a whole number that is not negative, or Infinity.");
+      });
+    });
+
+    it("should throw for an unknown output", () => {
+      expect(() => createParser({ outputs: ["sections", "bogus"] })).toThrow(
+        "Output bogus is not one of expansion, sections, expansionHash, folded."
+      );
+    });
+  });
+
+  describe("with an order", () => {
+    const expand = (expression: string, order, options = {}) => {
+      const result: Object = parser(expression, { order, outputs: ["expansion"], ...options });
+
+      return result.expansion;
+    };
+
+    it("should sort the values of each range by default", () => {
+      expect(expand("node[5,1,3],node[10-8]")).toEqual(["node1", "node3", "node5", "node8", "node9", "node10"]);
+    });
+
+    it("should keep the order the values are written in", () => {
+      expect(expand("node[5,1,3]", "input")).toEqual(["node5", "node1", "node3"]);
+    });
+
+    it("should count down a descending range", () => {
+      expect(expand("node[10-08],node[d-b],node[9-1/4]", "input")).toEqual([
+        "node10",
+        "node09",
+        "node08",
+        "noded",
+        "nodec",
+        "nodeb",
+        "node9",
+        "node5",
+        "node1"
+      ]);
+    });
+
+    it("should keep the order the expressions are written in", () => {
+      expect(expand("oss[5,1],mds1,oss3", "input")).toEqual(["oss5", "oss1", "mds1", "oss3"]);
+    });
+
+    it("should leave out values repeated within a range", () => {
+      expect(expand("node[3,1-4]", "input")).toEqual(["node3", "node1", "node2", "node4"]);
+    });
+
+    it("should report duplicates across expressions", () => {
+      const result: Object = parser("node[2,1],node[3-1]", { order: "input" });
+
+      expect(result.errors.map(x => x.hostname)).toEqual(["node2", "node1"]);
+    });
+
+    it("should keep the order within set expressions", () => {
+      expect(expand("node[5-1]!node3", "input")).toEqual(["node5", "node4", "node2", "node1"]);
+    });
+
+    it("should keep the order of IPv4 addresses", () => {
+      expect(expand("10.0.0.[3,1]", "input", { ipv4: true })).toEqual(["10.0.0.3", "10.0.0.1"]);
+    });
+
+    it("should sort the hostnames of every expression naturally", () => {
+      expect(expand("rack2-node[9-10],rack10-node1,rack[1-2]-node1", "natural", { duplicates: "dedupe" })).toEqual([
+        "rack1-node1",
+        "rack2-node1",
+        "rack2-node9",
+        "rack2-node10",
+        "rack10-node1"
+      ]);
+    });
+  });
+
+  describe("with a folded output", () => {
+    const fold = (expression: string, options = {}) => {
+      const result: Object = parser(expression, { outputs: ["folded"], ...options });
+
+      return result.folded;
+    };
+    const hostnamesOf = (expression: string): Object => new Set(iterate(expression));
+
+    [
+      { expression: "rack[1-4]-node[1-16]", folded: "rack[1-4]-node[1-16]" },
+      { expression: "rack[1-2]-node[1-8],rack[3-4]-node[1-8],mds[1-2]", folded: "rack[1-4]-node[1-8],mds[1-2]" },
+      { expression: "rack1-node[1-4],rack2-node[1-4],rack2-node[5-8]", folded: "rack1-node[1-4],rack2-node[1-8]" },
+      { expression: "oss[1-2].lfs[1-2].com,oss[1-2].lfs3.com", folded: "oss[1-2].lfs[1-3].com" },
+      { expression: "node[01-10]-ib[0-1],node[11-12]-ib[0-1]", folded: "node[01-12]-ib[0-1]" },
+      { expression: "node[1-2]-{ib0,eth0}", folded: "node[1-2]-{ib0,eth0}" },
+      { expression: "rack[b-d]-node[1-2]", folded: "rack[b-d]-node[1-2]" },
+      { expression: "rack[1-2]-{ib0,eth0}.{lfs,iml}.com", folded: "rack[1-2]-{ib0,eth0}.{iml,lfs}.com" },
+      { expression: "oss[1-8]!oss[3-4]", folded: "oss[1-2,5-8]" },
+      { expression: "lfs-OST[0x0000-0x000f]", folded: "lfs-OST[0x0000-0x000f]" },
+      { expression: "lfs-OST[0x0009,0x000A-0x0010]", folded: "lfs-OST[0x0009,0x000A-0x0010]" },
+      { expression: "node[1-50000]", folded: "node[1-50000]" },
+      { expression: "mgs", folded: "mgs" }
+    ].forEach(({ expression, folded }) => {
+      it(`should fold ${expression} into ${folded}`, () => {
+        expect(fold(expression)).toEqual(folded);
+      });
+    });
+
+    it("should fold into an expression producing the same hostnames", () => {
+      const expression = "rack[1-3]-node[1-8]-ib[0-1],rack4-node[1-4]-ib[0-1],rack4-node[5-8]-ib0";
+
+      expect(hostnamesOf(fold(expression))).toEqual(hostnamesOf(expression));
+    });
+
+    it("should fold numbers that don't form runs far past the default cap", () => {
+      const numbers = range(0, 13334).map(x => 3 * x + 1);
+
+      expect(fold("n[1-40000/3]", { cap: Infinity })).toEqual(`n[${numbers.join(",")}]`);
+    });
+
+    it("should keep hostnames made of a single number or label as written", () => {
+      expect(fold("1,2,3,a,b")).toEqual("1,2,3,a,b");
+    });
+
+    it("should fold the hostnames of every expression once", () => {
+      expect(fold("oss[1-4],oss[3-6]", { duplicates: "allow" })).toEqual("oss[1-6]");
+    });
+
+    it("should not fold by default", () => {
+      const result: Object = parser("oss[1-2]");
+
+      expect(result.folded).toBeUndefined();
+    });
+  });
+
+  describe("with tolerant input", () => {
+    const tolerate = (expression: string, options = {}): Object =>
+      parser(expression, { tolerant: true, outputs: ["expansion"], ...options });
+
+    [
+      { input: "oss1\noss2\r\nmds1", expression: "oss1,oss2,mds1" },
+      { input: "oss1\toss2; mds1", expression: "oss1,oss2,mds1" },
+      { input: "node[1 - 4, 7]", expression: "node[1-4,7]" },
+      { input: "\noss1,\n\n,oss2,\n", expression: "oss1,oss2" },
+      { input: "oss[1-8] ! oss[3-4] mds1", expression: "oss[1-8]!oss[3-4],mds1" },
+      { input: "oss[1-8] -oss3", expression: "oss[1-8],-oss3" },
+      { input: "oss[1-20]\n-/5 $/", expression: "oss[1-20],-/5 $/" },
+      { input: "oss[1-3] ^ oss[2-4]", expression: "oss[1-3]^oss[2-4]" }
+    ].forEach(({ input, expression }) => {
+      it(`should parse ${JSON.stringify(input)} as ${expression}`, () => {
+        expect(tolerate(input)).toEqual({
+          ...parser(expression, { outputs: ["expansion"] }),
+          expression
+        });
+      });
+    });
+
+    it("should split on the separators passed in", () => {
+      expect(tolerate("oss1|oss2 |\nmds1", { separators: "|\n" })).toEqual({
+        expression: "oss1,oss2,mds1",
+        expansion: ["oss1", "oss2", "mds1"]
+      });
+    });
+
+    it("should split on white space that is not one of the separators passed in", () => {
+      expect(tolerate("node[1-2]\toss1 ;mds1", { separators: ";" })).toEqual({
+        expression: "node[1-2],oss1,mds1",
+        expansion: ["node1", "node2", "oss1", "mds1"]
+      });
+    });
+
+    it("should locate errors in the tidied expression", () => {
+      expect(tolerate("oss1\noss[1-]\n")).toEqual({
+        expression: "oss1,oss[1-]",
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 8,
+            end: 12,
+            expression: "oss[1-]",
+            range: "1-"
+          }
+        ]
+      });
+    });
+
+    it("should count a pasted list", () => {
+      expect(createParser({ tolerant: true }).count("oss[1-4]\nmds[1-2];\n")).toEqual({
+        expression: "oss[1-4],mds[1-2]",
+        count: 6
+      });
+    });
+
+    it("should parse a pasted list of a few thousand lines", () => {
+      const hostnames = range(0, 4000).map(x => `node${x}`);
+      const result: Object = tolerate(hostnames.join("\n"));
+
+      expect(result.expression).toEqual(hostnames.join(","));
+      expect(result.expansion).toEqual(hostnames);
+    });
+
+    it("should not be tolerant by default", () => {
+      const result: Object = parser("oss1,oss2,");
+
+      expect(result.expression).toBeUndefined();
+      expect(result.errors[0].code).toEqual("EXPRESSION_INVALID");
+    });
+  });
+
+  describe("with hostname validation", () => {
+    const validate = (expression: string): Object =>
+      parser(expression, { validateHostnames: true, outputs: ["expansion"] });
+    const longLabel = "a".repeat(62);
+
+    it("should expand valid hostnames", () => {
+      expect(validate("oss[1-2].lfs,mds-1,10.0.0.[1-2]")).toEqual({
+        expansion: ["oss1.lfs", "oss2.lfs", "mds-1", "10.0.0.1", "10.0.0.2"]
+      });
+    });
+
+    it("should name the expression and the label with a bad character", () => {
+      expect(validate("mds1,node_[1-2]..lfs")).toEqual({
+        errors: [
+          {
+            code: "LABEL_NOT_PROPER_FORMAT",
+            message: "Label node_1 must be made of letters, digits and hyphens, and can't start or end with a hyphen.",
+            start: 5,
+            end: 20,
+            expression: "node_[1-2]..lfs",
+            hostname: "node_1..lfs",
+            label: "node_1"
+          }
+        ]
+      });
+    });
+
+    [
+      { expression: "node1..lfs", code: "LABEL_EMPTY", label: undefined },
+      { expression: ".node1", code: "LABEL_EMPTY", label: undefined },
+      { expression: "node[1-2]-.lfs", code: "LABEL_NOT_PROPER_FORMAT", label: "node1-" },
+      { expression: "lfs.-node[1-2]", code: "LABEL_NOT_PROPER_FORMAT", label: "-node1" },
+      { expression: `${longLabel}[8-10].lfs`, code: "LABEL_TOO_LONG", label: `${longLabel}10` },
+      { expression: `${`${longLabel}.`.repeat(4)}n[1-2]`, code: "HOSTNAME_TOO_LONG", label: undefined }
+    ].forEach(({ expression, code, label }) => {
+      it(`should report ${code} for ${expression}`, () => {
+        const result = validate(expression);
+
+        expect(result.errors.map(x => [x.code, x.label])).toEqual([[code, label]]);
+      });
+    });
+
+    it("should check every term of an expression using set operators", () => {
+      const result = validate("oss[1-4]!oss_[1-2]");
+
+      expect(result.errors.map(x => [x.code, x.expression, x.start])).toEqual([
+        ["LABEL_NOT_PROPER_FORMAT", "oss_[1-2]", 9]
+      ]);
+    });
+
+    it("should check the hostnames counted", () => {
+      const result: Object = createParser({ validateHostnames: true }).count("node_[1-1000]");
+
+      expect(result.errors[0].code).toEqual("LABEL_NOT_PROPER_FORMAT");
+    });
+
+    it("should not check hostnames by default", () => {
+      expect(parser("node_1..lfs", { outputs: ["expansion"] })).toEqual({ expansion: ["node_1..lfs"] });
+    });
+  });
+
+  describe("with a duplicates policy", () => {
+    const expression = "h[1-3]x[1-2],h[2-3]x[2-3],h2x2";
+    const report = [
+      {
+        code: "DUPLICATE_EXPANSION",
+        message: "Expression h2x2 matches previous expansion of h2x2 generated by h[1-3]x[1-2], h[2-3]x[2-3]",
+        start: 26,
+        end: 30,
+        expression: "h2x2",
+        hostname: "h2x2",
+        expressions: ["h[1-3]x[1-2]", "h[2-3]x[2-3]", "h2x2"]
+      },
+      {
+        code: "DUPLICATE_EXPANSION",
+        message: "Expression h[2-3]x[2-3] matches previous expansion of h3x2 generated by h[1-3]x[1-2]",
+        start: 13,
+        end: 25,
+        expression: "h[2-3]x[2-3]",
+        hostname: "h3x2",
+        expressions: ["h[1-3]x[1-2]", "h[2-3]x[2-3]"]
+      }
+    ];
+
+    it("should error by default", () => {
+      expect(parser(expression)).toEqual(parser(expression, { duplicates: "error" }));
+    });
+
+    it("should report every duplicated hostname and every expression producing it", () => {
+      expect(parser(expression, { duplicates: "error" })).toEqual({ errors: report });
+    });
+
+    it("should keep the first occurrence and warn when deduping", () => {
+      expect(parser(expression, { duplicates: "dedupe" })).toEqual({
+        expansion: ["h1x1", "h1x2", "h2x1", "h2x2", "h3x1", "h3x2", "h2x3", "h3x3"],
+        sections: ["h1..3x1..2", "h2..3x2..3", "h2x2"],
+        expansionHash: { h1x1: 1, h1x2: 1, h2x1: 1, h2x2: 1, h3x1: 1, h3x2: 1, h2x3: 1, h3x3: 1 },
+        warnings: report
+      });
+    });
+
+    it("should report the overlap of expressions that would otherwise be combined", () => {
+      const result: Object = parser("oss[1-8],oss[5-12]", { duplicates: "error" });
+
+      expect(result.errors.map(x => [x.hostname, x.start, x.end, x.expressions])).toEqual(
+        ["oss5", "oss6", "oss7", "oss8"].map(x => [x, 9, 18, ["oss[1-8]", "oss[5-12]"]])
+      );
+    });
+
+    it("should name every expression as written when three expressions overlap", () => {
+      const result: Object = parser("n1,n[1-2],n[1-3]", { duplicates: "error" });
+
+      expect(result.errors.map(x => [x.hostname, x.message, x.start, x.end, x.expressions])).toEqual([
+        [
+          "n1",
+          "Expression n[1-3] matches previous expansion of n1 generated by n1, n[1-2]",
+          10,
+          16,
+          ["n1", "n[1-2]", "n[1-3]"]
+        ],
+        ["n2", "Expression n[1-3] matches previous expansion of n2 generated by n[1-2]", 10, 16, ["n[1-2]", "n[1-3]"]]
+      ]);
+    });
+
+    it("should name every expression as written when warning about three overlapping expressions", () => {
+      const result: Object = parser("n[1-2]x,n[2-3]x,n2x", { duplicates: "dedupe", outputs: ["expansion"] });
+
+      expect(result.expansion).toEqual(["n1x", "n2x", "n3x"]);
+      expect(result.warnings.map(x => [x.hostname, x.expression, x.expressions])).toEqual([
+        ["n2x", "n2x", ["n[1-2]x", "n[2-3]x", "n2x"]]
+      ]);
+    });
+
+    it("should warn about the overlap of expressions that would otherwise be combined when deduping", () => {
+      const result: Object = parser("oss[1-8],oss[5-12]", { duplicates: "dedupe", outputs: ["expansion"] });
+
+      expect(result.expansion).toEqual(Array.from(iterate("oss[1-12]")));
+      expect(result.warnings.map(x => x.hostname)).toEqual(["oss5", "oss6", "oss7", "oss8"]);
+    });
+
+    it("should keep every repeat when allowing duplicates", () => {
+      expect(parser("oss[1-3],oss[2-4],oss2", { duplicates: "allow" })).toEqual({
+        expansion: ["oss1", "oss2", "oss3", "oss2", "oss3", "oss4", "oss2"],
+        sections: ["oss1..3", "oss2..4", "oss2"],
+        expansionHash: { oss1: 1, oss2: 3, oss3: 2, oss4: 1 }
+      });
+    });
+
+    it("should not return warnings when there are no duplicates", () => {
+      expect(parser("oss[1-2]", { duplicates: "dedupe" })).toEqual(parser("oss[1-2]"));
+    });
+  });
+
+  describe("with IPv4 addresses", () => {
+    const parse = (expression, options = {}): Object =>
+      createParser({ ipv4: true, outputs: ["expansion", "sections"], ...options }).parse(expression);
+    const addressError = (code, message, expression) => ({
+      errors: [{ code, message, start: 0, end: expression.length, expression }]
+    });
+
+    it("should expand a CIDR block", () => {
+      expect(parse("10.0.0.0/29")).toEqual({
+        expansion: ["10.0.0.0", "10.0.0.1", "10.0.0.2", "10.0.0.3", "10.0.0.4", "10.0.0.5", "10.0.0.6", "10.0.0.7"],
+        sections: ["10.0.0.0..7"]
+      });
+    });
+
+    it("should exclude the network and broadcast addresses", () => {
+      expect(parse("10.0.0.0/29", { excludeNetworkAndBroadcast: true })).toEqual({
+        expansion: ["10.0.0.1", "10.0.0.2", "10.0.0.3", "10.0.0.4", "10.0.0.5", "10.0.0.6"],
+        sections: ["10.0.0.1..6"]
+      });
+    });
+
+    it("should exclude the network and broadcast addresses of a block spanning several octets", () => {
+      expect(parse("10.0.0.0/23", { excludeNetworkAndBroadcast: true, outputs: ["sections"] })).toEqual({
+        sections: ["10.0.0.1..255", "10.0.1.0..254"]
+      });
+    });
+
+    it("should keep blocks without network and broadcast addresses whole", () => {
+      expect(parse("10.0.0.0/31", { excludeNetworkAndBroadcast: true })).toEqual({
+        expansion: ["10.0.0.0", "10.0.0.1"],
+        sections: ["10.0.0.0..1"]
+      });
+    });
+
+    it("should locate errors after a CIDR block in the expression as written", () => {
+      expect(parse("10.0.0.0/30,10.0.0.[1-]")).toEqual({
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 19,
+            end: 23,
+            expression: "10.0.0.[1-]",
+            range: "1-"
+          }
+        ]
+      });
+    });
+
+    it("should sort numerically by address", () => {
+      expect(parse("10.0.[1-2].[9-10],10.0.0.254").expansion).toEqual([
+        "10.0.0.254",
+        "10.0.1.9",
+        "10.0.1.10",
+        "10.0.2.9",
+        "10.0.2.10"
+      ]);
+    });
+
+    it("should apply set operators to a whole block", () => {
+      expect(parse("10.0.1.[1-3]!10.0.0.0/23").expansion).toEqual([]);
+    });
+
+    it("should reject a block over the cap before expanding it", () => {
+      expect(parse("10.0.0.0/8")).toEqual(
+        addressError("EXPRESSION_OVER_CAP", "The hostlist cannot contain more than 50000 entries.", "10.0.0.0/8")
+      );
+    });
+
+    [
+      ["10.0.0.256", "OCTET_OVER_MAX"],
+      ["10.0.[250-300].1", "OCTET_OVER_MAX"],
+      ["10.0.0.1/24", "ADDRESS_NOT_PROPER_FORMAT"],
+      ["10.0.0.0/33", "ADDRESS_NOT_PROPER_FORMAT"],
+      ["10.0.0.01", "ADDRESS_NOT_PROPER_FORMAT"],
+      ["10.0.[a-b].1", "ADDRESS_NOT_PROPER_FORMAT"],
+      ["oss1", "ADDRESS_NOT_PROPER_FORMAT"]
+    ].forEach(([expression, code]) => {
+      it(`should return an error for ${expression}`, () => {
+        const message =
+          code === "OCTET_OVER_MAX"
+            ? "Octets cannot be greater than 255."
+            : "Address is not a valid IPv4 address or CIDR block.";
+
+        expect(parse(expression)).toEqual(addressError(code, message, expression));
+      });
+    });
+
+    it("should not parse addresses as IPv4 by default", () => {
+      expect(parser("10.0.0.256")).toEqual({
+        expansion: ["10.0.0.256"],
+        sections: ["10.0.0.256"],
+        expansionHash: { "10.0.0.256": 1 }
+      });
+    });
+  });
+
+  describe("with files", () => {
+    const files = {
+      "/etc/hosts": "# Lustre servers\nmds[1-2]\n\noss[1-8]!oss[5-6] # without the second pair\n",
+      "/etc/broken": "oss1\noss[1-]\nmds[1,x-]",
+      "/etc/servers": "mgs\n^/etc/hosts\n",
+      "/etc/nested": "^/etc/missing",
+      "/etc/loop": "oss1\n^/etc/cycle",
+      "/etc/cycle": "^/etc/loop"
+    };
+    const readFile = (path: string) => {
+      if (files[path] == null) throw new Error(`${path} does not exist`);
+
+      return files[path];
+    };
+    const parse = (expression, options = {}): Object =>
+      createParser({ readFile, outputs: ["sections"], ...options }).parse(expression);
+
+    it("should replace a file with its lines", () => {
+      expect(parse("^/etc/hosts")).toEqual({ sections: ["mds1..2", "oss1..4", "oss7..8"] });
+    });
+
+    it("should parse a file", () => {
+      expect(createParser({ readFile }).parseFile("/etc/hosts")).toEqual(parse("^/etc/hosts", { outputs: undefined }));
+    });
+
+    it("should combine a file with other expressions", () => {
+      expect(parse("mgs,^/etc/hosts!mds[1-2]")).toEqual({ sections: ["mgs", "oss1..4", "oss7..8"] });
+    });
+
+    it("should name the file and line of every error", () => {
+      expect(parse("^/etc/broken").errors).toEqual([
+        {
+          code: "RANGE_NOT_PROPER_FORMAT",
+          message: "Range is not in the proper format.",
+          start: 3,
+          end: 7,
+          expression: "oss[1-]",
+          range: "1-",
+          file: "/etc/broken",
+          line: 2
+        },
+        {
+          code: "RANGE_NOT_PROPER_FORMAT",
+          message: "Range is not in the proper format.",
+          start: 3,
+          end: 9,
+          expression: "mds[1,x-]",
+          range: "1,x-",
+          file: "/etc/broken",
+          line: 3
+        }
+      ]);
+    });
+
+    it("should return an error for a file that can't be read", () => {
+      expect(parse("oss1,^/etc/missing")).toEqual({
+        errors: [
+          {
+            code: "FILE_NOT_READABLE",
+            message: "File /etc/missing can't be read.",
+            start: 5,
+            end: 18,
+            expression: "^/etc/missing",
+            file: "/etc/missing"
+          }
+        ]
+      });
+    });
+
+    it("should resolve files referencing other files", () => {
+      expect(parse("^/etc/servers")).toEqual({ sections: ["mgs", "mds1..2", "oss1..4", "oss7..8"] });
+    });
+
+    it("should return an error for a file referencing itself", () => {
+      expect(parse("^/etc/loop")).toEqual({
+        errors: [
+          {
+            code: "FILE_CYCLE",
+            message: "File /etc/loop references itself.",
+            start: 0,
+            end: 10,
+            expression: "^/etc/loop",
+            file: "/etc/loop"
+          }
+        ]
+      });
+    });
+
+    it("should locate an error in a referenced file at the outermost reference", () => {
+      expect(parse("oss1,^/etc/nested").errors).toEqual([
+        {
+          code: "FILE_NOT_READABLE",
+          message: "File /etc/missing can't be read.",
+          start: 5,
+          end: 17,
+          expression: "^/etc/nested",
+          file: "/etc/missing"
+        }
+      ]);
+    });
+
+    it("should not read files without a reader", () => {
+      expect(parser("^/etc/hosts").errors.map(x => x.code)).toEqual(["FILE_NOT_READABLE"]);
+    });
+
+    it("should still treat ^ between operands as a symmetric difference", () => {
+      expect(parse("oss[1-3]^oss[2-4]")).toEqual({ sections: ["oss1", "oss4"] });
+    });
+  });
+
+  describe("with groups", () => {
+    const groups = createStaticResolver({
+      oss: "oss[1-8]",
+      mds: ["mds1", "mds2"],
+      servers: "@oss,@mds",
+      "rack2:oss": "oss[9-16]",
+      loop: "oss1,@cycle",
+      cycle: "@loop",
+      odd: "oss[1-8]!oss[2-8/2]"
+    });
+    const parse = (expression, options = {}): Object =>
+      createParser({ groups, outputs: ["sections"], ...options }).parse(expression);
+
+    it("should replace a group with its members", () => {
+      expect(parse("@oss,mgs")).toEqual({ sections: ["oss1..8", "mgs"] });
+    });
+
+    it("should resolve a group of another source", () => {
+      expect(parse("@rack2:oss")).toEqual({ sections: ["oss9..16"] });
+    });
+
+    it("should resolve groups referencing other groups", () => {
+      expect(parse("@servers")).toEqual({ sections: ["oss1..8", "mds1", "mds2"] });
+    });
+
+    it("should apply set operators to a whole group", () => {
+      expect(parse("@servers!oss[2-8]")).toEqual({ sections: ["oss1", "mds1..2"] });
+    });
+
+    it("should keep the set operators of the members to the group", () => {
+      expect(parse("mds1,@odd")).toEqual({ sections: ["mds1", "oss1..7/2"] });
+    });
+
+    it("should return an error naming a group that is not defined", () => {
+      expect(parse("oss1,@mgs")).toEqual({
+        errors: [
+          {
+            code: "UNKNOWN_GROUP",
+            message: "Group mgs is not defined.",
+            start: 5,
+            end: 9,
+            expression: "@mgs",
+            group: "mgs"
+          }
+        ]
+      });
+    });
+
+    it("should return an error for a group referencing itself", () => {
+      expect(parse("@loop")).toEqual({
+        errors: [
+          {
+            code: "GROUP_CYCLE",
+            message: "Group loop references itself.",
+            start: 0,
+            end: 5,
+            expression: "@loop",
+            group: "loop"
+          }
+        ]
+      });
+    });
+
+    it("should check the members for duplicates", () => {
+      expect(parse("@oss,oss8").errors.map(x => x.code)).toEqual(["DUPLICATE_EXPANSION"]);
+    });
+
+    it("should locate errors in the members at the reference", () => {
+      const resolve = createStaticResolver({ bad: "oss[1-]" });
+
+      expect(parse("mds1,@bad", { groups: resolve })).toEqual({
+        errors: [
+          {
+            code: "RANGE_NOT_PROPER_FORMAT",
+            message: "Range is not in the proper format.",
+            start: 5,
+            end: 9,
+            expression: "@bad",
+            range: "1-"
+          }
+        ]
+      });
+    });
+
+    it("should locate errors after a reference in the expression as written", () => {
+      const resolve = createStaticResolver({ oss: "oss[1-8],oss[9-12]" });
+      const result: Object = parse("mds1,@oss,x[1-", { groups: resolve });
+
+      expect(result.errors.map(x => [x.start, x.expression])).toEqual([[11, "@oss,x[1-"]]);
+    });
+
+    it("should locate duplicates at the expression as written", () => {
+      const result: Object = parse("@oss,oss8");
+
+      expect(result.errors.map(x => [x.start, x.end, x.expression])).toEqual([[5, 9, "oss8"]]);
+    });
+
+    it("should name the references as written in duplicates", () => {
+      const resolve = createStaticResolver({ oss: "oss[1-2]" });
+
+      expect(parse("@oss,@oss", { groups: resolve })).toEqual({
+        errors: ["oss1", "oss2"].map(hostname => ({
+          code: "DUPLICATE_EXPANSION",
+          message: `Expression @oss matches previous expansion of ${hostname} generated by @oss`,
+          start: 5,
+          end: 9,
+          expression: "@oss",
+          hostname,
+          expressions: ["@oss", "@oss"]
+        }))
+      });
+    });
+
+    it("should count the members against the cap", () => {
+      expect(parse("@oss", { cap: 7 }).errors.map(x => x.code)).toEqual(["EXPRESSION_OVER_CAP"]);
+    });
+
+    it("should return an error for a group without a resolver", () => {
+      expect(parser("@oss").errors.map(x => x.code)).toEqual(["UNKNOWN_GROUP"]);
+    });
+  });
+});
+
+describe("set operators", () => {
+  [
+    {
+      expression: "oss[1-8]!oss[3-4]",
+      expansion: ["oss1", "oss2", "oss5", "oss6", "oss7", "oss8"],
+      sections: ["oss1..2", "oss5..8"]
+    },
+    {
+      expression: "oss[1-8] & oss[5-12]",
+      expansion: ["oss5", "oss6", "oss7", "oss8"],
+      sections: ["oss5..8"]
+    },
+    {
+      expression: "oss[1-8]^oss[5-12]",
+      expansion: ["oss1", "oss2", "oss3", "oss4", "oss9", "oss10", "oss11", "oss12"],
+      sections: ["oss1..4", "oss9..12"]
+    },
+    // Operators are applied from left to right
+    {
+      expression: "oss[1-4]!oss[3-4],mds1",
+      expansion: ["oss1", "oss2", "mds1"],
+      sections: ["oss1..2", "mds1"]
+    },
+    {
+      expression: "oss[1-4]!(oss[3-4],oss1)",
+      expansion: ["oss2"],
+      sections: ["oss2"]
+    },
+    {
+      expression: "(oss[1-4],mds[1-2])&oss[3-9]",
+      expansion: ["oss3", "oss4"],
+      sections: ["oss3..4"]
+    },
+    // Padded and unpadded hostnames are different
+    {
+      expression: "oss[1-3]!oss[01-02]",
+      expansion: ["oss1", "oss2", "oss3"],
+      sections: ["oss1..3"]
+    },
+    {
+      expression: "oss[1-3]!oss[1-3]",
+      expansion: [],
+      sections: []
+    },
+    // pdsh exclusions and filters
+    {
+      expression: "oss[1-8],-oss[3-4]",
+      expansion: ["oss1", "oss2", "oss5", "oss6", "oss7", "oss8"],
+      sections: ["oss1..2", "oss5..8"]
+    },
+    {
+      expression: "oss[1-12],/[02468]$/",
+      expansion: ["oss2", "oss4", "oss6", "oss8", "oss10", "oss12"],
+      sections: ["oss2..12/2"]
+    },
+    {
+      expression: "oss[1-12],-/1[0-9]/,mds1",
+      expansion: ["oss1", "oss2", "oss3", "oss4", "oss5", "oss6", "oss7", "oss8", "oss9", "mds1"],
+      sections: ["oss1..9", "mds1"]
+    },
+    // Commas and braces inside a filter belong to the regular expression
+    {
+      expression: "oss[1-20],/^oss1{1,2}$/",
+      expansion: ["oss1", "oss11"],
+      sections: ["oss1", "oss11"]
+    }
+  ].forEach(test => {
+    it(`should evaluate ${test.expression}`, () => {
+      const result: Object = parser(test.expression);
+
+      expect(result).toEqual({
+        expansion: test.expansion,
+        sections: test.sections,
+        expansionHash: test.expansion.reduce((prev, x) => ({ ...prev, [x]: 1 }), {})
+      });
+    });
+
+    it(`should iterate ${test.expression} in the same order`, () => {
+      expect(Array.from(iterate(test.expression))).toEqual(test.expansion);
+    });
+  });
+
+  it("should apply the cap to the final set", () => {
+    const result: Object = parser("hostname[1-50010]!hostname[1-10]");
+
+    expect(result.expansion.length).toBe(50000);
+  });
+
+  it("should return an error when the final set is over the cap", () => {
+    expect(parser("hostname[1-10]!hostname5", { cap: 5 })).toEqual({
+      errors: [
+        {
+          code: "EXPRESSION_OVER_CAP",
+          message: "The hostlist cannot contain more than 5 entries.",
+          start: 0,
+          end: 24,
+          expression: "hostname[1-10]!hostname5"
+        }
+      ]
+    });
+  });
+
+  it("should throw when iterating past the limit", () => {
+    expect(() => Array.from(iterate("hostname[1-10]!hostname5", 5))).toThrow(
+      "The hostlist cannot contain more than 5 entries."
+    );
+  });
+
+  [
+    {
+      expression: "!oss1",
+      errors: [{ code: "EXPRESSION_EMPTY", message: "Expression cannot be empty.", start: 0, end: 0, expression: "" }]
+    },
+    {
+      expression: "oss1!!oss2",
+      errors: [{ code: "EXPRESSION_EMPTY", message: "Expression cannot be empty.", start: 5, end: 5, expression: "" }]
+    },
+    {
+      expression: "oss1!",
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 4, end: 5, expression: "oss1!" }]
+    },
+    {
+      expression: "(oss1!oss2",
+      errors: [
+        { code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 0, end: 1, expression: "(oss1!oss2" }
+      ]
+    },
+    {
+      expression: "oss1)",
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 4, end: 5, expression: "oss1)" }]
+    },
+    {
+      expression: "oss[1-x]&oss[01-9]",
+      errors: [
+        {
+          code: "RANGE_NOT_PROPER_FORMAT",
+          message: "Range is not in the proper format.",
+          start: 3,
+          end: 8,
+          expression: "oss[1-x]",
+          range: "1-x"
+        },
+        {
+          code: "INCONSISTENT_DIGITS",
+          message: "Number of digits must be consistent across padded entries",
+          start: 12,
+          end: 18,
+          expression: "oss[01-9]",
+          range: "01-9"
+        }
+      ]
+    },
+    // A filter must follow a comma
+    {
+      expression: "/oss/,oss1",
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 0, end: 5, expression: "/oss/" }]
+    },
+    {
+      expression: "oss1,/oss",
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 5, end: 9, expression: "/oss" }]
+    },
+    {
+      expression: "oss1,/[/",
+      errors: [{ code: "EXPRESSION_INVALID", message: "Expression is invalid", start: 5, end: 8, expression: "/[/" }]
+    }
+  ].forEach(test => {
+    it(`should return errors for ${test.expression}`, () => {
+      expect(parser(test.expression)).toEqual({ errors: test.errors });
+    });
+  });
+});
+
+describe("iterate", () => {
+  const take = (count: number, hostnames: Iterator<string>) => {
+    const out = [];
+
+    for (const hostname of hostnames) {
+      if (out.length === count) break;
+
+      out.push(hostname);
+    }
+
+    return out;
+  };
+
+  [
+    "hostname[7-5], hostname[8,9], hostname[3,2,1]",
+    "hostname[1,2-3].iml[2,3].com,hostname[1,2,3].iml[2,4].com",
+    "hostname[1,2]-[3-4]-[5,6].iml.com",
+    "hostname[1,2][3,4].iml.com",
+    "hostname[5-7,1-6]",
+    "hostname[1-3],hostname[2]",
+    "hostname[9,09-10],hostname7",
+    "hostname[001-999]",
+    "node[1-2]-{ib0,eth0},node[3-4]{,-bmc}",
+    "rack[a-c,1-2]-node[1-2],rack[d]-node[1-2]",
+    "lfs-OST[0x0008-0x000b,0x0009-0x0010]"
+  ].forEach(expression => {
+    it(`should produce the same hostnames in the same order as the parser for ${expression}`, () => {
+      const result: Object = parser(expression, { duplicates: "dedupe" });
+
+      expect(Array.from(iterate(expression))).toEqual(result.expansion);
+    });
+  });
+
+  it("should produce stepped ranges", () => {
+    expect(Array.from(iterate("node[1-100/25]"))).toEqual(["node1", "node26", "node51", "node76"]);
+  });
+
+  it("should not be bound by the cap", () => {
+    expect(Array.from(iterate("hostname[1-50001]")).length).toBe(50001);
+  });
+
+  it("should produce a range of many items in order", () => {
+    const numbers = range(0, 5000).map(x => 2 * x + 1);
+    const shuffled = numbers.filter(x => x % 4 === 3).concat(numbers.filter(x => x % 4 === 1));
+
+    expect(Array.from(iterate(`node[${shuffled.join(",")}]`))).toEqual(numbers.map(x => `node${x}`));
+  });
+
+  it("should produce hostnames lazily", () => {
+    expect(take(3, iterate("hostname[1-1000000000000].iml[01-99].com"))).toEqual([
+      "hostname1.iml01.com",
+      "hostname1.iml02.com",
+      "hostname1.iml03.com"
+    ]);
+  });
+
+  it("should throw the errors found in the expression", () => {
+    expect(() => Array.from(iterate("hostname[1,,2],host[01-009]"))).toThrow(
+      "Range is not in the proper format.\nNumber of digits must be consistent across padded entries"
+    );
+  });
+
+  it("should throw an error when the limit is exceeded", () => {
+    let error;
+
+    try {
+      iterate("hostname[1-6]", 5).next();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error && error.errors).toEqual([
+      {
+        code: "EXPRESSION_OVER_CAP",
+        message: "The hostlist cannot contain more than 5 entries.",
+        start: 0,
+        end: 13,
+        expression: "hostname[1-6]"
+      }
+    ]);
+  });
+
+  it("should produce hostnames up to the limit", () => {
+    expect(Array.from(iterate("hostname[1-5]", 5)).length).toBe(5);
+  });
+});
+
+describe("compareHostnames", () => {
+  it("should compare numbers by value", () => {
+    expect(["node10", "node9", "node1"].sort(compareHostnames)).toEqual(["node1", "node9", "node10"]);
+  });
+
+  it("should compare every number of the hostnames", () => {
+    expect(["rack2-node1", "rack10-node1", "rack2-node10", "rack2-node2"].sort(compareHostnames)).toEqual([
+      "rack2-node1",
+      "rack2-node2",
+      "rack2-node10",
+      "rack10-node1"
+    ]);
+  });
+
+  it("should compare text", () => {
+    expect(["oss1", "mds2", "mds", "mds1.lfs"].sort(compareHostnames)).toEqual(["mds", "mds1.lfs", "mds2", "oss1"]);
+  });
+
+  it("should put shorter padding first", () => {
+    expect(["node02", "node2", "node002"].sort(compareHostnames)).toEqual(["node2", "node02", "node002"]);
+  });
+
+  it("should compare numbers too long for a double", () => {
+    expect(compareHostnames("node100000000000000000001", "node100000000000000000002")).toBeLessThan(0);
+  });
+
+  it("should be 0 for the same hostname", () => {
+    expect(compareHostnames("node1", "node1")).toBe(0);
+  });
+});
+
+describe("count", () => {
+  const countExpanded = (expression: string) => new Set(iterate(expression)).size;
+
+  [
+    "hostname[7-5], hostname[8,9], hostname[3,2,1]",
+    "hostname[1,2-3].iml[2,3].com,hostname[1,2,3].iml[2,4].com",
+    "hostname[5-7,1-6]",
+    "hostname[1-3],hostname[2]",
+    "hostname[9,09-10],hostname7",
+    "hostname[001-999]",
+    "hostname[7-1234].iml.com",
+    "node[1-2]-{ib0,eth0},node[3-4]{,-bmc}",
+    "rack[a-c,1-2]-node[1-2],rack[d]-node[1-2]",
+    "rack[y-ac,B-D]",
+    "lfs-OST[0x0008-0x000b,0x0009-0x0010]",
+    "node[1-100/25],node[1-100/20]",
+    "node[1,11][1,11]",
+    "oss1[0-5],oss[1-10]",
+    "oss[01-20],oss[1-20]",
+    "oss[1-20]!oss[5-7]",
+    "oss[1-20]&oss[15-30]",
+    "oss[1-20]^oss[15-30],mds1",
+    "oss[1-20],-/5$/",
+    "node[1-100/2,1-100/3]!node[1-100/5]",
+    "node[a-zz/3]&node[a-zz/2]",
+    "n[10-99/3]&n1[0-9/2]"
+  ].forEach(expression => {
+    it(`should count the distinct hostnames of ${expression}`, () => {
+      expect(count(expression)).toBe(countExpanded(expression));
+    });
+  });
+
+  it("should count overlapping expressions once", () => {
+    expect(count("oss[1-10],oss[5-20]")).toBe(20);
+  });
+
+  it("should count far past the cap without expanding", () => {
+    expect(count("rack[1-400]-node[0001-3012]")).toBe(1204800);
+  });
+
+  it("should count overlapping ranges far past the cap", () => {
+    expect(count("node[1-100000000],node[50000000-200000000]")).toBe(200000000);
+  });
+
+  it("should count strided items far past the cap", () => {
+    expect(count("node[1-100000000/2],node[1-100000000/3]")).toBe(66666667);
+  });
+
+  it("should count a strided item removed from a range far past the cap", () => {
+    expect(count("node[1-100000000]!node[1-100000000/3]")).toBe(66666666);
+  });
+
+  it("should count the hostnames kept by a filter of a large expression", () => {
+    expect(count("node[1-100000],-/5$/")).toBe(90000);
+  });
+
+  it("should throw the errors found in the expression", () => {
+    expect(() => count("hostname[1,,2]")).toThrow("Range is not in the proper format.");
+  });
+
+  it("should count with the parser after resolving references", () => {
+    const parser = createParser({ groups: createStaticResolver({ oss: "oss[1-100000]" }) });
+
+    expect(parser.count("@oss,oss[50001-150000]")).toEqual({ count: 150000 });
+  });
+
+  it("should return the errors found by the parser", () => {
+    const result: Object = createParser({ groups: createStaticResolver({}) }).count("@oss");
+
+    expect(result.errors).toEqual([
+      {
+        code: "UNKNOWN_GROUP",
+        message: "Group oss is not defined.",
+        start: 0,
+        end: 4,
+        expression: "@oss",
+        group: "oss"
+      }
+    ]);
+  });
+});
+
+describe("contains", () => {
+  [
+    "hostname[1,2-3].iml[2,3].com,hostname[1,2,3].iml[2,4].com",
+    "hostname[9,09-10],hostname7",
+    "node[1-2]-{ib0,eth0},node[3-4]{,-bmc}",
+    "rack[a-c,1-2]-node[1-2],rack[d]-node[1-2]",
+    "lfs-OST[0x0008-0x000b]",
+    "node[1-100/25]",
+    "oss[1-8]!oss[3-4],mds1"
+  ].forEach(expression => {
+    it(`should contain every hostname of ${expression}`, () => {
+      expect(Array.from(iterate(expression)).every(x => contains(expression, x))).toBe(true);
+    });
+  });
+
+  [
+    { expression: "hostname[9,09-10]", hostname: "hostname009" },
+    { expression: "hostname[09-10]", hostname: "hostname9" },
+    { expression: "hostname[1-10]", hostname: "hostname01" },
+    { expression: "hostname[1-10]", hostname: "hostname11" },
+    { expression: "node[1-100/25]", hostname: "node2" },
+    { expression: "node[1-2]-{ib0,eth0}", hostname: "node1-ib1" },
+    { expression: "lfs-OST[0x0008-0x000b]", hostname: "lfs-OST000B" },
+    { expression: "oss[1-8]!oss[3-4]", hostname: "oss3" },
+    { expression: "oss[1-8]", hostname: "oss1.lfs" }
+  ].forEach(({ expression, hostname }) => {
+    it(`should not contain ${hostname} in ${expression}`, () => {
+      expect(contains(expression, hostname)).toBe(false);
+    });
+  });
+
+  it("should check hostnames far past the cap without expanding", () => {
+    expect(contains("rack[1-400]-node[0001-3012]", "rack12-node0305")).toBe(true);
+    expect(contains("rack[1-400]-node[0001-3012]", "rack12-node3013")).toBe(false);
+  });
+
+  it("should throw the errors found in the expression", () => {
+    expect(() => contains("hostname[1,,2]", "hostname1")).toThrow("Range is not in the proper format.");
+  });
+});
+
+describe("nth and slice", () => {
+  [
+    "hostname[7-5], hostname[8,9], hostname[3,2,1]",
+    "hostname[1,2-3].iml[2,3].com,hostname[1,2,3].iml[2,4].com",
+    "hostname[1,2]-[3-4]-[5,6].iml.com",
+    "hostname[5-7,1-6]",
+    "hostname[9,09-10],hostname7",
+    "node[1-2]-{ib0,eth0},node[3-4]{,-bmc}",
+    "rack[a-c,1-2]-node[1-2],rack[d]-node[1-2]",
+    "lfs-OST[0x0008-0x000b,0x0009-0x0010]",
+    "node[1-100/25,2-99/33],node[200-201]",
+    "node[1-20/3,2-14/4,5-9]",
+    "node[01-10,5-12]",
+    "oss[1-8]!oss[3-4],mds1"
+  ].forEach(expression => {
+    it(`should page through ${expression} in the same order as iterate`, () => {
+      const expansion = Array.from(iterate(expression));
+
+      [0, 1, 3, 7].forEach(offset => expect(slice(expression, offset, 5)).toEqual(expansion.slice(offset, offset + 5)));
+      expect(expansion.map((x, index) => nth(expression, index))).toEqual(expansion);
+    });
+  });
+
+  it("should find hostnames far past the cap without expanding", () => {
+    expect(nth("rack[1-400]-node[0001-3012]", 1204799)).toEqual("rack400-node3012");
+    expect(slice("rack[1-400]-node[0001-3012]", 3010, 3)).toEqual([
+      "rack1-node3011",
+      "rack1-node3012",
+      "rack2-node0001"
+    ]);
+  });
+
+  it("should find hostnames far past the cap when items overlap", () => {
+    expect(nth("node[1-10000000,5-20]", 9999999)).toEqual("node10000000");
+    expect(slice("node[1-10000000/2,2-10000000/3]", 6666664, 3)).toEqual(["node9999997", "node9999998", "node9999999"]);
+  });
+
+  it("should find nothing past the end of the expansion", () => {
+    expect(nth("oss[1-4]", 4)).toBeUndefined();
+    expect(slice("oss[1-4],mds1", 3, 50)).toEqual(["oss4", "mds1"]);
+  });
+
+  [
+    { index: -1, message: "Index must be a whole number that is not negative." },
+    { index: 1.5, message: "Index must be a whole number that is not negative." }
+  ].forEach(({ index, message }) => {
+    it(`should throw for an index of ${index}`, () => {
+      expect(() => nth("a[1-3]", index)).toThrow(message);
+      expect(() => nth("a[1-3]!a2", index)).toThrow(message);
+    });
+  });
+
+  [
+    { offset: -2, limit: 3, message: "Offset must be a whole number that is not negative." },
+    { offset: 0.5, limit: 3, message: "Offset must be a whole number that is not negative." },
+    { offset: 0, limit: -1, message: "Limit must be a whole number that is not negative." },
+    { offset: 0, limit: 1.5, message: "Limit must be a whole number that is not negative." }
+  ].forEach(({ offset, limit, message }) => {
+    it(`should throw for an offset of ${offset} and a limit of ${limit}`, () => {
+      expect(() => slice("a[1-3]", offset, limit)).toThrow(message);
+      expect(() => slice("a[1-3]!a2", offset, limit)).toThrow(message);
+    });
+  });
+
+  it("should throw the errors found in the expression", () => {
+    expect(() => nth("hostname[1,,2]", 0)).toThrow("Range is not in the proper format.");
+  });
+});
+
+describe("normalize", () => {
+  const hostnamesOf = (expression: string): Object => new Set(iterate(expression));
+
+  [
+    { expression: "oss[1-4,5]", normalized: "oss[1-5]" },
+    { expression: "oss[5,1-4]", normalized: "oss[1-5]" },
+    { expression: "oss1,oss[2-5]", normalized: "oss[1-5]" },
+    { expression: "oss[1-10],oss[5-20]", normalized: "oss[1-20]" },
+    { expression: "oss1[0-5],oss[1-10]", normalized: "oss[1-15]" },
+    { expression: "rack[3-4]-node[1-8],mds[1-2],rack[1-2]-node[1-8]", normalized: "mds[1-2],rack[1-4]-node[1-8]" },
+    { expression: "node[1-9]-ib[0-1],node[01-12]-ib[0-1]", normalized: "node[1-9,01-12]-ib[0-1]" },
+    { expression: "node[09-11],node7", normalized: "node[7,09-11]" },
+    { expression: "node[1-2]-{ib0,eth0}", normalized: "node[1-2]-eth0,node[1-2]-ib0" },
+    { expression: "rack[a-b]-node[1-3]", normalized: "rack[a-b]-node[1-3]" },
+    { expression: "rack[a-z]-node[1-4]", normalized: "rack[a-z]-node[1-4]" },
+    { expression: "lfs-OST[0x0000-0x00ff]", normalized: "lfs-OST[0x0000-0x00ff]" },
+    { expression: "lfs-OST[0x000A-0x0010]", normalized: "lfs-OST[0x000A-0x0010]" },
+    { expression: "n0a[1-20]", normalized: "n0a[1-20]" },
+    { expression: "n[0x0a-0x0f]", normalized: "n0[a-f]" },
+    { expression: "node[1-20/5]", normalized: "node[1-16/5]" },
+    { expression: "node[1-20000/2]", normalized: "node[1-19999/2]" },
+    { expression: "node[1-9/4,10]", normalized: "node[1,5,9-10]" },
+    { expression: "node[1-3,5,8,11]", normalized: "node[1-3,5-11/3]" },
+    { expression: "oss[1-8]!oss[3-4]", normalized: "oss[1-2,5-8]" },
+    { expression: "mgs", normalized: "mgs" }
+  ].forEach(({ expression, normalized }) => {
+    it(`should normalize ${expression} into ${normalized}`, () => {
+      expect(normalize(expression)).toEqual(normalized);
+    });
+  });
+
+  it("should normalize into an expression producing the same hostnames", () => {
+    const expression = "rack[1-3]-node[1-8]-ib[0-1],rack4-node[1-4]-ib[0-1],rack4-node[5-8]-ib0,lfs-OST[0x0008-0x0010]";
+
+    expect(hostnamesOf(normalize(expression))).toEqual(hostnamesOf(expression));
+  });
+
+  it("should normalize the same hostnames the same way however they are split", () => {
+    expect(normalize("rack[1-2]-node[1-4],rack2-node[5-8],rack[3-4]-node[1-8]")).toEqual(
+      normalize("rack[2-4]-node[5-8],rack[1-4]-node[1-4]")
+    );
+  });
+
+  it("should normalize past the cap without expanding", () => {
+    expect(normalize("rack[1-400]-node[0001-3012],rack[200-500]-node[0001-3012]")).toEqual(
+      "rack[1-500]-node[0001-3012]"
+    );
+  });
+
+  it("should normalize numbers followed by digits past the cap without expanding", () => {
+    expect(normalize("node[10000-99999]5")).toEqual("node[100005-999995/10]");
+  });
+
+  it("should leave a normalized expression unchanged", () => {
+    const normalized = normalize("node[09-11],node7,rack[3-4]-node[1-8],rack[1-2]-node[1-8]");
+
+    expect(normalize(normalized)).toEqual(normalized);
+  });
+
+  it("should throw the errors found in the expression", () => {
+    expect(() => normalize("hostname[1,,2]")).toThrow("Range is not in the proper format.");
+  });
+});
+
+describe("equals", () => {
+  it("should be true for expressions producing the same hostnames", () => {
+    expect(equals("oss[1-4,5]", "oss1,oss[2-5]")).toBe(true);
+  });
+
+  it("should be false for expressions producing different hostnames", () => {
+    expect(equals("oss[1-5]", "oss[01-05]")).toBe(false);
+  });
+
+  it("should compare hexadecimal numbers with the letters they are written as", () => {
+    expect(equals("n[0x0a-0x0f]", "n0[a-f]")).toBe(true);
+  });
+
+  it("should compare the hostnames kept by a filter of a large expression", () => {
+    expect(equals("node[1-20000],-/5$/", "node[1-20000]!node[5-19995/10]")).toBe(true);
+  });
+});
+
+describe("fingerprint", () => {
+  it("should be the same for expressions producing the same hostnames", () => {
+    expect(fingerprint("oss[5,1-4]")).toEqual(fingerprint("oss1,oss[2-5]"));
+  });
+
+  it("should differ for expressions producing different hostnames", () => {
+    expect(fingerprint("oss[1-5]")).not.toEqual(fingerprint("oss[1-6]"));
+  });
+
+  it("should be stable across runs", () => {
+    expect(fingerprint("oss[1-5]")).toEqual("417ad2bce2d8f0f2");
+  });
+});
+
+describe("compress", () => {
+  const tests = [
+    // no hostnames
+    { hostnames: [], expression: "" },
+    // single hostname without numbers
+    { hostnames: ["localhost"], expression: "localhost" },
+    // single hostname with a number
+    { hostnames: ["hostname1.iml.com"], expression: "hostname1.iml.com" },
+    // consecutive numbers with a suffix
+    {
+      hostnames: ["hostname6.iml.com", "hostname7.iml.com", "hostname8.iml.com"],
+      expression: "hostname[6-8].iml.com"
+    },
+    // unsorted numbers with gaps and duplicates
+    {
+      hostnames: ["hostname11", "hostname7", "hostname9", "hostname10", "hostname7"],
+      expression: "hostname[7,9-11]"
+    },
+    // padded numbers absorb unpadded numbers of the same length
+    {
+      hostnames: ["oss09.lfs", "oss10.lfs", "oss11.lfs", "oss08.lfs"],
+      expression: "oss[08-11].lfs"
+    },
+    // padded and unpadded numbers of the same value
+    {
+      hostnames: ["node9", "node09", "node10", "node8"],
+      expression: "node[8-9,09-10]"
+    },
+    // padded numbers starting at 0
+    { hostnames: ["test000", "test001", "test002"], expression: "test[000-002]" },
+    // folds on the last number that varies
+    {
+      hostnames: ["oss01-ib0", "oss02-ib0", "oss03-ib0"],
+      expression: "oss[01-03]-ib0"
+    },
+    // groups by the remaining numbers when more than one varies
+    {
+      hostnames: ["rack1-node1", "rack1-node2", "rack2-node1", "rack2-node2", "rack2-node3"],
+      expression: "rack1-node[1-2],rack2-node[1-3]"
+    },
+    // folds on the last letter of a label
+    { hostnames: ["rackc-node1", "racka-node1", "rackb-node1"], expression: "rack[a-c]-node1" },
+    // different formats are kept apart in the order they first appear
+    {
+      hostnames: ["oss1.lfs", "mds1.lfs", "oss2.lfs", "mds2.lfs", "mgs.lfs"],
+      expression: "oss[1-2].lfs,mds[1-2].lfs,mgs.lfs"
+    }
+  ];
+
+  tests.forEach(test => {
+    it(`should compress ${JSON.stringify(test.hostnames)}`, () => {
+      expect(compress(test.hostnames)).toEqual(test.expression);
+    });
+  });
+
+  tests.filter(test => test.hostnames.length > 0).forEach(test => {
+    it(`should reproduce ${JSON.stringify(test.hostnames)} when parsed`, () => {
+      const expansionHash = test.hostnames.reduce((obj, hostname) => ({ ...obj, [hostname]: 1 }), {});
+
+      const result: Object = parser(compress(test.hostnames));
+
+      expect(result.expansionHash).toEqual(expansionHash);
+    });
+  });
+
+  it("should compress a long list of numbers that don't form runs", () => {
+    const numbers = range(0, 13000).map(x => 3 * x);
+
+    expect(compress(numbers.map(x => `node${x}`))).toEqual(`node[${numbers.join(",")}]`);
+  });
+
+  it("should reproduce a large padded list when parsed", () => {
+    const hostnames = range(1, 1000)
+      .filter(x => x % 7 !== 0)
+      .map(x => `oss${`000${x}`.slice(-4)}.lfs`);
+
+    const result: Object = parser(compress(hostnames));
+
+    expect(result.expansion).toEqual(hostnames);
+  });
+
+  it("should keep hostnames holding %s apart by the text around their numbers", () => {
+    expect(compress(["a%sb", "a%s1", "a%s2"])).toEqual("a%sb,a%s[1-2]");
+    expect(fold(["a%sb", "a%s1", "a%s2"])).toEqual("a%sb,a%s[1-2]");
+  });
+
+  ["a!b", "oss 1", "n[1-2]", "-oss1", "@oss", "%mds", "/tmp", "oss1,oss2", "{a,b}"].forEach(hostname => {
+    it(`should throw for ${JSON.stringify(hostname)}, which can't be written in an expression`, () => {
+      const message = `Hostname ${hostname} can't be written in an expression.`;
+
+      expect(() => compress(["oss1", hostname])).toThrow(message);
+      expect(() => fold(["oss1", hostname])).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+// @flow
+
+import { createBlock } from "../source/blocks";
+import { findBlockTerms, findSegments, foldNumberTerms, formatNumberSet, readTermNumbers } from "../source/terms";
+
+import { describe, it, expect } from "./jasmine";
+
+const decimal = (low: number, high: number, step: number = 1) => ({ kind: "decimal", length: 1, low, high, step });
+const run = (first: string, last: string, step: number = 1) => ({ first, last, step, marker: "" });
+
+describe("terms", () => {
+  it("should read the last letter of a run of letters as a number", () => {
+    const terms = findBlockTerms(createBlock(["o", "s", "s", "1", "0123456789"]), true);
+
+    expect(terms.map(x => x.texts)).toEqual([["os", "", ""]]);
+    expect(terms[0].tokens.map(x => x.kind)).toEqual(["lower", "decimal"]);
+  });
+
+  it("should read a run starting with 0 that holds hexadecimal letters as a hexadecimal number", () => {
+    const terms = findBlockTerms(createBlock(["n", "0", "0", "0123456789abcdef"]), true);
+    const numbers = readTermNumbers(terms);
+
+    expect(numbers.map(x => x[1][0])).toEqual([
+      { kind: "hex", length: 3, low: 0, high: 9, step: 1 },
+      { kind: "hex", length: 3, low: 10, high: 15, step: 1 }
+    ]);
+  });
+
+  it("should read the hexadecimal letters as letters when not reading hexadecimal numbers", () => {
+    const terms = findBlockTerms(createBlock(["n", "0", "0", "0123456789abcdef"]), false);
+
+    expect(terms.map(x => x.texts)).toEqual([["", "", ""], ["", "", "", ""]]);
+  });
+
+  it("should fold terms sharing their following numbers", () => {
+    expect(foldNumberTerms([[[decimal(1, 2)], [decimal(1, 2)]], [[decimal(3, 4)], [decimal(1, 2)]]], 0)).toEqual([
+      [[run("1", "4")], [run("1", "2")]]
+    ]);
+  });
+
+  it("should fold interleaved progressions into an interval", () => {
+    expect(foldNumberTerms([[[decimal(1, 5, 2)]], [[decimal(2, 6, 2)]]], 0)).toEqual([[[run("1", "6")]]]);
+  });
+
+  it("should cut progressions at their ends", () => {
+    expect(findSegments([{ low: 1, high: 5, step: 2 }, { low: 2, high: 4, step: 2 }])).toEqual([
+      { low: 1, high: 1, period: 2, firsts: [1] },
+      { low: 2, high: 4, period: 2, firsts: [2, 3] },
+      { low: 5, high: 5, period: 2, firsts: [5] }
+    ]);
+  });
+
+  it("should write a set of numbers as a range", () => {
+    expect(formatNumberSet([run("7", "7"), run("09", "11"), run("20", "150", 10)])).toEqual("[7,09-11,20-150/10]");
+  });
+
+  it("should write a single number as itself", () => {
+    expect(formatNumberSet([run("7", "7")])).toEqual("7");
+  });
+});